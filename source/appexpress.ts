@@ -2,21 +2,77 @@
 
 import fs from 'fs';
 import path from 'path';
-import zlib from 'zlib';
 import mime from 'mime-types';
 import AppExpressRequest from './request.js';
 import AppExpressResponse from './response.js';
-import { isCompressible, requestMethods } from './utils/index.js';
+import AppExpressSession, { MemorySessionStore } from './session.js';
+import type { SessionSettings } from './session.js';
+import StaticDirectory, {
+    defaultStaticSettings,
+    renderListing,
+} from './static.js';
+import LRUCache from './utils/lru.js';
+import RouteMatcher from './utils/matcher.js';
+import { defaultBodyLimits } from './utils/body.js';
+import { validateRequest, validatedValues } from './utils/validator.js';
+import { parseCookies, unsignCookie } from './utils/cookies.js';
+import {
+    generateETag,
+    headerValue,
+    isFresh,
+    isRangeFresh,
+    parseRange,
+} from './utils/etag.js';
+import { negotiate } from './utils/negotiation.js';
+import {
+    adaptiveLevel,
+    compress,
+    compressionKey,
+} from './utils/compression.js';
+import {
+    appendVary,
+    isCompressible,
+    mountPattern,
+    requestMethods,
+    routeHandlers,
+    routeMatchers,
+} from './utils/index.js';
 import type {
+    AppExpressAroundHandler,
+    AppExpressBodyLimits,
+    AppExpressErrorHandler,
+    AppExpressJobSummary,
+    AppExpressMiddleware,
+    AppExpressNextFunction,
     AppExpressRequestHandler,
     AppExpressRequestMethods,
     AppExpressResponseHandler,
+    AppExpressResponseInterceptor,
+    AppExpressRouteMatchers,
+    AppExpressSessionOptions,
+    AppExpressStaticOptions,
+    AppExpressValidationSchemas,
     AppExpressViewEngineHandler,
     AppwriteContext,
+    CompressionEncoder,
     CompressionHandler,
+    CompressionOptions,
     InjectionRegistry,
 } from './types';
 
+export type {
+    AppExpressEventResource,
+    AppwriteDocument,
+    AppwriteExecution,
+    AppwriteFile,
+    AppwriteMembership,
+    AppwriteModel,
+    AppwriteResourceKind,
+    AppwriteSession,
+    AppwriteTeam,
+    AppwriteUser,
+} from './types';
+
 /**
  * An `express.js` like framework for Appwrite Functions, enabling super-easy navigation!
  */
@@ -27,15 +83,41 @@ export default class AppExpress {
     static Router = class Router {
         #empty: boolean = true;
         #internalRoutes: AppExpressRequestMethods = requestMethods();
+        #middlewares: AppExpressMiddleware[] = [];
+        #routers: [string, Router][] = [];
+
+        /**
+         * Register a middleware for the requests under the path this router is used for.\
+         * Supports the same middlewares as `AppExpress#middleware`.
+         *
+         * **Note**: A router's middlewares run before the ones of its nested routers.
+         *
+         * @param middleware - The middleware/request handler to add to the chain.
+         */
+        middleware(middleware: AppExpressMiddleware): void {
+            this.#middlewares.push(middleware);
+            this.#toggleEmpty();
+        }
+
+        /**
+         * Registers a nested `Router` for a given path.
+         *
+         * @param path - The base URL path, relative to this router.
+         * @param router - The router that handles the extending paths.
+         */
+        use(path: string, router: Router): void {
+            this.#routers.push([path, router]);
+            this.#toggleEmpty();
+        }
 
         /**
          * Registers a `GET` route.
          *
          * @param path - The URL path.
-         * @param handler - The handler to execute for the path.
+         * @param handlers - The middlewares to execute for the path, followed by the handler.
          */
-        get(path: string, handler: AppExpressRequestHandler): void {
-            this.#internalRoutes.get.set(path, handler);
+        get(path: string, ...handlers: AppExpressRequestHandler[]): void {
+            this.#internalRoutes.get.set(path, routeHandlers(path, handlers));
             this.#toggleEmpty();
         }
 
@@ -43,10 +125,10 @@ export default class AppExpress {
          * Registers a `POST` route.
          *
          * @param path - The URL path.
-         * @param handler - The handler to execute for the path.
+         * @param handlers - The middlewares to execute for the path, followed by the handler.
          */
-        post(path: string, handler: AppExpressRequestHandler): void {
-            this.#internalRoutes.post.set(path, handler);
+        post(path: string, ...handlers: AppExpressRequestHandler[]): void {
+            this.#internalRoutes.post.set(path, routeHandlers(path, handlers));
             this.#toggleEmpty();
         }
 
@@ -54,10 +136,10 @@ export default class AppExpress {
          * Registers a `PUT` route.
          *
          * @param path - The URL path.
-         * @param handler - The handler to execute for the path.
+         * @param handlers - The middlewares to execute for the path, followed by the handler.
          */
-        put(path: string, handler: AppExpressRequestHandler): void {
-            this.#internalRoutes.put.set(path, handler);
+        put(path: string, ...handlers: AppExpressRequestHandler[]): void {
+            this.#internalRoutes.put.set(path, routeHandlers(path, handlers));
             this.#toggleEmpty();
         }
 
@@ -65,10 +147,10 @@ export default class AppExpress {
          * Registers a `PATCH` route.
          *
          * @param path - The URL path.
-         * @param handler - The handler to execute for the path.
+         * @param handlers - The middlewares to execute for the path, followed by the handler.
          */
-        patch(path: string, handler: AppExpressRequestHandler): void {
-            this.#internalRoutes.patch.set(path, handler);
+        patch(path: string, ...handlers: AppExpressRequestHandler[]): void {
+            this.#internalRoutes.patch.set(path, routeHandlers(path, handlers));
             this.#toggleEmpty();
         }
 
@@ -76,10 +158,13 @@ export default class AppExpress {
          * Registers a `DELETE` route.
          *
          * @param path - The URL path.
-         * @param handler - The handler to execute for the path.
+         * @param handlers - The middlewares to execute for the path, followed by the handler.
          */
-        delete(path: string, handler: AppExpressRequestHandler): void {
-            this.#internalRoutes.delete.set(path, handler);
+        delete(path: string, ...handlers: AppExpressRequestHandler[]): void {
+            this.#internalRoutes.delete.set(
+                path,
+                routeHandlers(path, handlers),
+            );
             this.#toggleEmpty();
         }
 
@@ -87,10 +172,13 @@ export default class AppExpress {
          * Registers an `OPTIONS` route.
          *
          * @param path - The URL path.
-         * @param handler - The handler to execute for the path.
+         * @param handlers - The middlewares to execute for the path, followed by the handler.
          */
-        options(path: string, handler: AppExpressRequestHandler): void {
-            this.#internalRoutes.options.set(path, handler);
+        options(path: string, ...handlers: AppExpressRequestHandler[]): void {
+            this.#internalRoutes.options.set(
+                path,
+                routeHandlers(path, handlers),
+            );
             this.#toggleEmpty();
         }
 
@@ -98,10 +186,10 @@ export default class AppExpress {
          * Registers a route for `ALL` methods.
          *
          * @param path - The URL path.
-         * @param handler - The handler to execute for the path.
+         * @param handlers - The middlewares to execute for the path, followed by the handler.
          */
-        all(path: string, handler: AppExpressRequestHandler): void {
-            this.#internalRoutes.all.set(path, handler);
+        all(path: string, ...handlers: AppExpressRequestHandler[]): void {
+            this.#internalRoutes.all.set(path, routeHandlers(path, handlers));
             this.#toggleEmpty();
         }
 
@@ -109,17 +197,22 @@ export default class AppExpress {
          * This method is for accessing the built routes.\
          * **Note**: This API is not for public consumption.
          *
-         * @returns The routes and their respective handlers.
+         * @returns The routes, middlewares and nested routers.
          */
-        read(
-            accessor: object,
-        ):
-            | { empty: boolean; internalRoutes: AppExpressRequestMethods }
+        read(accessor: object):
+            | {
+                  empty: boolean;
+                  internalRoutes: AppExpressRequestMethods;
+                  middlewares: AppExpressMiddleware[];
+                  routers: [string, Router][];
+              }
             | undefined {
             if (accessor instanceof AppExpress) {
                 return {
                     empty: this.#empty,
                     internalRoutes: this.#internalRoutes,
+                    middlewares: this.#middlewares,
+                    routers: this.#routers,
                 };
             }
             return undefined;
@@ -133,27 +226,94 @@ export default class AppExpress {
         }
     };
 
+    /**
+     * Stores sessions in memory, used by `AppExpress#session` if no store is provided.
+     */
+    static MemoryStore = MemorySessionStore;
+
+    /**
+     * Builds a route middleware that validates the body, query & params of the requests.\
+     * Query, params & form values are strings and are coerced to the schema types, like `'20'` to `20`.
+     *
+     * ```typescript
+     * const schemas = {
+     *     query: {
+     *         type: 'object',
+     *         properties: { limit: { type: 'integer', minimum: 1, default: 20 } },
+     *     },
+     *     body: {
+     *         type: 'object',
+     *         properties: { email: { type: 'string', format: 'email' } },
+     *         required: ['email'],
+     *     },
+     * } as const;
+     *
+     * express.post('/invites', AppExpress.validate(schemas), (request, response) => {
+     *     const { query, body } = request.validated<typeof schemas>();
+     * });
+     * ```
+     *
+     * A request that does not match the schemas gets a `400` with the errors -
+     * ```json
+     * {
+     *   "error": "Validation failed.",
+     *   "errors": [{ "location": "query", "field": "limit", "message": "must be an integer" }]
+     * }
+     * ```
+     *
+     * @param schemas - The schemas for the parts of the request.
+     * @returns The middleware to pass before the route handler.
+     */
+    static validate(
+        schemas: AppExpressValidationSchemas,
+    ): AppExpressRequestHandler {
+        return (request, response) => {
+            const { values, errors } = validateRequest(schemas, request);
+
+            if (errors.length) {
+                response.json({ error: 'Validation failed.', errors }, 400);
+            } else {
+                validatedValues.set(request, values);
+            }
+        };
+    }
+
     #context?: AppwriteContext;
     #request?: AppExpressRequest;
     #response?: AppExpressResponse;
     #middlewares: {
-        incoming: AppExpressRequestHandler[];
+        incoming: AppExpressAroundHandler[];
         outgoing: AppExpressResponseHandler[];
     } = {
         incoming: [],
         outgoing: [],
     };
+    #errorHandlers: AppExpressErrorHandler[] = [];
+    #notFoundHandler?: AppExpressRequestHandler;
     #dependencies: InjectionRegistry = new Map();
     #views: string = '';
-    #routes: AppExpressRequestMethods = requestMethods();
+    #routes: AppExpressRouteMatchers = routeMatchers();
+    #events: RouteMatcher<AppExpressRequestHandler[]> = new RouteMatcher(
+        'EVENT',
+        '.',
+    );
+    #jobs: Map<string, AppExpressRequestHandler[]> = new Map();
     #engine: AppExpressViewEngineHandler = new Map();
     #showPoweredBy: boolean = true;
+    #etag: false | 'weak' | 'strong' = false;
     #compression: boolean | CompressionHandler = true;
     #compressionLevel: { br: number; deflate: number; gzip: number } = {
         br: 11,
         gzip: 6,
         deflate: 6,
     };
+    #compressionThreshold: number = 1024;
+    #adaptiveCompression: boolean = true;
+    #compressionCache: LRUCache<string, Buffer> | undefined;
+    #bodyLimits: AppExpressBodyLimits = defaultBodyLimits;
+    #cookieSecrets: string[] = [];
+    #baseDirectory: string = AppExpress.baseDirectory;
+    #staticDirectories: StaticDirectory[] = [];
     #cleanUrlExtensions: string[] = [];
     #indexAsDefault: boolean = false;
 
@@ -228,72 +388,333 @@ export default class AppExpress {
     /**
      * Register a custom middleware.
      *
-     * **Note**: `request.params` are not available to middlewares due to no `pattern` awareness.
+     * An `around` middleware wraps the rest of the chain and the route handler.\
+     * Awaiting `next()` runs them and resolves with the prepared response, which can then be inspected or modified.
+     *
+     * ```typescript
+     * express.middleware({
+     *     around: async (request, response, next) => {
+     *         const start = Date.now();
+     *         const result = await next();
+     *         if (result) result.headers['x-response-time'] = Date.now() - start;
+     *     },
+     * });
+     * ```
+     *
+     * **Note**: Middlewares run in the order they were added, `incoming` ones continue the chain unless they prepare a response.
+     *
+     * **Also Note**: `request.params` are not available to middlewares due to no `pattern` awareness.
      *
      * @param middleware - The middleware/request handler to add to the chain.
      */
-    middleware(
-        middleware:
-            | AppExpressRequestHandler
-            | {
-                  incoming?: AppExpressRequestHandler;
-                  outgoing?: AppExpressResponseHandler;
-              },
-    ): AppExpress {
+    middleware(middleware: AppExpressMiddleware): AppExpress {
+        this.#addMiddleware(middleware);
+        return this;
+    }
+
+    /**
+     * Add a middleware to the chain, optionally limited to the requests under a path.
+     *
+     * @param middleware - The middleware/request handler to add to the chain.
+     * @param mountPath - The path the middleware is limited to.
+     */
+    #addMiddleware(middleware: AppExpressMiddleware, mountPath?: string): void {
         // preserve the previous behaviour.
-        if (typeof middleware === 'function') {
-            this.#middlewares.incoming.push(middleware);
-        } else if (typeof middleware === 'object') {
-            const { incoming, outgoing } = middleware;
-            if (incoming) this.#middlewares.incoming.push(incoming);
-            if (outgoing) this.#middlewares.outgoing.push(outgoing);
+        const { incoming, outgoing, around } =
+            typeof middleware === 'function'
+                ? {
+                      incoming: middleware,
+                      outgoing: undefined,
+                      around: undefined,
+                  }
+                : middleware;
+
+        const arounds = [incoming && this.#toAround(incoming), around];
+        const pattern = mountPath ? mountPattern(mountPath) : undefined;
+
+        for (const handler of arounds) {
+            if (!handler) continue;
+
+            this.#middlewares.incoming.push(
+                pattern
+                    ? (request, response, next, log, error) =>
+                          pattern.test(request.path)
+                              ? handler(request, response, next, log, error)
+                              : next()
+                    : handler,
+            );
+        }
+
+        if (outgoing) {
+            this.#middlewares.outgoing.push(
+                pattern
+                    ? (request, interceptor, log, error) => {
+                          if (pattern.test(request.path)) {
+                              return outgoing(request, interceptor, log, error);
+                          }
+                      }
+                    : outgoing,
+            );
+        }
+    }
+
+    /**
+     * Wraps an incoming middleware to continue the chain unless it prepared a response.
+     *
+     * @param middleware - The incoming middleware.
+     * @returns The middleware as a part of the chain.
+     */
+    #toAround(middleware: AppExpressRequestHandler): AppExpressAroundHandler {
+        return async (request, response, next, log, error) => {
+            // allowing middlewares to return things,
+            // example: a favicon handler or an auth check middleware.
+            await middleware(request, response, log, error);
+
+            // a middleware returned something.
+            if (!this.#contextHasReturn()) await next();
+        };
+    }
+
+    /**
+     * Register an error handler.\
+     * Error handlers are invoked in the order they were added when an incoming middleware,
+     * a route handler, an outgoing interceptor or the compression throws an error.
+     *
+     * The first handler that prepares a response ends the chain, the response then goes
+     * through the outgoing interceptors as usual. If a handler throws, the new error is
+     * passed on to the next handler.
+     *
+     * ```typescript
+     * express.onError((err, request, response) => {
+     *     response.json({ error: `${err}` }, 500);
+     * });
+     * ```
+     *
+     * **Note**: If no handler prepares a response, a plain-text `500` is returned.
+     *
+     * @param handler - The handler to execute when an error occurs.
+     */
+    onError(handler: AppExpressErrorHandler): AppExpress {
+        this.#errorHandlers.push(handler);
+        return this;
+    }
+
+    /**
+     * Register a handler for requests that do not match any route.\
+     * The handler is only used if no middleware prepared a response and
+     * no wildcard (`*`) route is available for the request.
+     *
+     * ```typescript
+     * express.notFound((request, response) => {
+     *     response.json({ error: `No route for ${request.path}.` }, 404);
+     * });
+     * ```
+     *
+     * **Note**: By default, a plain-text `404` is returned.
+     *
+     * @param handler - The handler to execute for unmatched requests.
+     */
+    notFound(handler: AppExpressRequestHandler): AppExpress {
+        this.#notFoundHandler = handler;
+        return this;
+    }
+
+    /**
+     * Registers a `Router` or an `AppExpress` instance for a given path.
+     *
+     * A mounted `AppExpress` instance keeps its own middlewares, routes, error handlers, views, engines & injected dependencies,
+     * falling back to the parent's views, engines & dependencies. Its own base directory is used for files,
+     * its body limits & cookie secrets if set, otherwise the parent's. Its requests see the path without the mount prefix,
+     * the prefix is available via `request.baseUrl`.\
+     * Requests it has no route for continue with the parent's chain, unless it has its own `notFound` handler.
+     *
+     * **Note**: Compression is always applied by the parent.
+     *
+     * @param path - The base URL path.
+     * @param router - The router or the application that handles the extending paths.
+     * @throws If the router does not have any routes or middlewares, or if an application is used within itself.
+     */
+    use(
+        path: string,
+        router: InstanceType<typeof AppExpress.Router> | AppExpress,
+    ): AppExpress {
+        if (router instanceof AppExpress) {
+            this.#mountApp(path, router);
+        } else {
+            this.#mountRouter(path, router);
         }
 
         return this;
     }
 
     /**
-     * Registers a `Router` for a given path.
+     * Adds a middleware that passes the requests under a path to another `AppExpress` instance.
+     *
+     * @param path - The base URL path.
+     * @param app - The application that handles the extending paths.
+     * @throws If the application is this instance.
+     */
+    #mountApp(path: string, app: AppExpress): void {
+        if (app === this) {
+            throw new Error(
+                `Cannot use an AppExpress instance within itself for path '${path}'.`,
+            );
+        }
+
+        const pattern = mountPattern(path);
+
+        this.#middlewares.incoming.push(async (request, _, next) => {
+            const mountPath = pattern.exec(request.path)?.[0];
+            if (mountPath === undefined) return next();
+
+            await app.#dispatch(
+                this.#context!,
+                this.#response!,
+                request.baseUrl + mountPath,
+                next,
+            );
+        });
+    }
+
+    /**
+     * Handle a request passed on by a parent `AppExpress` instance.
+     *
+     * @param context - The context provided by the executed `Appwrite Function`.
+     * @param response - The response shared with the parent.
+     * @param baseUrl - The path this instance is mounted on.
+     * @param next - Continues with the parent's chain.
+     */
+    async #dispatch(
+        context: AppwriteContext,
+        response: AppExpressResponse,
+        baseUrl: string,
+        next: AppExpressNextFunction,
+    ): Promise<void> {
+        const { req, res } = context;
+        const parent = {
+            dependencies: req._dependencies,
+            views: res._views,
+            engine: res._engine,
+            bodyLimits: req._bodyLimits,
+            cookieSecrets: req._cookieSecrets,
+            baseDirectory: res._baseDirectory,
+        };
+
+        const restore = () => {
+            req._dependencies = parent.dependencies;
+            res._views = parent.views;
+            res._engine = parent.engine;
+            req._bodyLimits = parent.bodyLimits;
+            req._cookieSecrets = parent.cookieSecrets;
+            res._baseDirectory = parent.baseDirectory;
+        };
+
+        this.#context = context;
+        this.#request = new AppExpressRequest(context, baseUrl);
+        this.#response = response;
+        this.#logRouteWarnings();
+
+        // own settings first, parent's as a fallback.
+        req._dependencies = new Map([
+            ...(parent.dependencies ?? []),
+            ...this.#dependencies,
+        ]);
+        res._views = this.#views || parent.views;
+        res._engine = new Map([...(parent.engine ?? []), ...this.#engine]);
+        res._baseDirectory = this.#baseDirectory;
+
+        if (this.#bodyLimits !== defaultBodyLimits) {
+            req._bodyLimits = this.#bodyLimits;
+        }
+
+        if (this.#cookieSecrets.length) {
+            req._cookieSecrets = this.#cookieSecrets;
+        }
+
+        let fellThrough = false;
+        const handlers = this.#findHandlers() ??
+            this.#findStaticFallback() ??
+            (this.#notFoundHandler && [this.#notFoundHandler]) ?? [
+                async () => {
+                    // no route here, continue with the parent.
+                    fellThrough = true;
+                    restore();
+                    await next();
+                },
+            ];
+
+        try {
+            await this.#runHandlers(handlers);
+        } catch (error) {
+            if (fellThrough) throw error;
+
+            // own error handlers get the first chance.
+            const lastError = await this.#runErrorHandlers(error);
+            if (!this.#contextHasReturn()) throw lastError;
+        } finally {
+            restore();
+        }
+
+        if (!fellThrough && this.#contextHasReturn()) {
+            const dynamic = context.res.dynamic!;
+            dynamic.body = await dynamic.body;
+            await this.#intercept(dynamic);
+        }
+    }
+
+    /**
+     * Adds the routes, middlewares and nested routers of a `Router` under a path.
      *
      * @param path - The base URL path.
      * @param router - The router that handles the extending paths.
-     * @throws If the router does not have any handlers.
+     * @throws If the router does not have any routes, middlewares or nested routers.
      */
-    use(
+    #mountRouter(
         path: string,
         router: InstanceType<typeof AppExpress.Router>,
-    ): AppExpress {
+    ): void {
         const config = router.read(this);
 
         if (!config || config.empty) {
-            throw new Error(`No routes defined for path '${path}'.`);
+            throw new Error(
+                `No routes or middlewares defined for path '${path}'.`,
+            );
+        }
+
+        // router middlewares only apply to the requests under its path.
+        for (const middleware of config.middlewares) {
+            this.#addMiddleware(middleware, path);
         }
 
         for (const method in config.internalRoutes) {
             const methodRoutes = config.internalRoutes[
                 method as keyof AppExpressRequestMethods
-            ] as Map<string, AppExpressRequestHandler>;
-            methodRoutes.forEach((handler, route) => {
+            ] as Map<string, AppExpressRequestHandler[]>;
+            methodRoutes.forEach((handlers, route) => {
                 const fullPath = this.#normalizePath(path, route);
-                (
-                    this.#routes[
-                        method as keyof AppExpressRequestMethods
-                    ] as Map<string, AppExpressRequestHandler>
-                ).set(fullPath, handler);
+                this.#routes[method as keyof AppExpressRequestMethods].add(
+                    fullPath,
+                    handlers,
+                );
             });
         }
 
-        return this;
+        for (const [nestedPath, nestedRouter] of config.routers) {
+            this.#mountRouter(
+                this.#normalizePath(path, nestedPath),
+                nestedRouter,
+            );
+        }
     }
 
     /**
      * Registers a `GET` route.
      *
      * @param path - The URL path.
-     * @param handler - The handler to execute for the path.
+     * @param handlers - The middlewares to execute for the path, followed by the handler.
      */
-    get(path: string, handler: AppExpressRequestHandler): AppExpress {
-        this.#routes.get.set(path, handler);
+    get(path: string, ...handlers: AppExpressRequestHandler[]): AppExpress {
+        this.#routes.get.add(path, routeHandlers(path, handlers));
         return this;
     }
 
@@ -301,10 +722,10 @@ export default class AppExpress {
      * Registers a `POST` route.
      *
      * @param path - The URL path.
-     * @param handler - The handler to execute for the path.
+     * @param handlers - The middlewares to execute for the path, followed by the handler.
      */
-    post(path: string, handler: AppExpressRequestHandler): AppExpress {
-        this.#routes.post.set(path, handler);
+    post(path: string, ...handlers: AppExpressRequestHandler[]): AppExpress {
+        this.#routes.post.add(path, routeHandlers(path, handlers));
         return this;
     }
 
@@ -312,10 +733,10 @@ export default class AppExpress {
      * Registers a `PUT` route.
      *
      * @param path - The URL path.
-     * @param handler - The handler to execute for the path.
+     * @param handlers - The middlewares to execute for the path, followed by the handler.
      */
-    put(path: string, handler: AppExpressRequestHandler): AppExpress {
-        this.#routes.put.set(path, handler);
+    put(path: string, ...handlers: AppExpressRequestHandler[]): AppExpress {
+        this.#routes.put.add(path, routeHandlers(path, handlers));
         return this;
     }
 
@@ -323,10 +744,10 @@ export default class AppExpress {
      * Registers a `PATCH` route.
      *
      * @param path - The URL path.
-     * @param handler - The handler to execute for the path.
+     * @param handlers - The middlewares to execute for the path, followed by the handler.
      */
-    patch(path: string, handler: AppExpressRequestHandler): AppExpress {
-        this.#routes.patch.set(path, handler);
+    patch(path: string, ...handlers: AppExpressRequestHandler[]): AppExpress {
+        this.#routes.patch.add(path, routeHandlers(path, handlers));
         return this;
     }
 
@@ -334,10 +755,10 @@ export default class AppExpress {
      * Registers a `DELETE` route.
      *
      * @param path - The URL path.
-     * @param handler - The handler to execute for the path.
+     * @param handlers - The middlewares to execute for the path, followed by the handler.
      */
-    delete(path: string, handler: AppExpressRequestHandler): AppExpress {
-        this.#routes.delete.set(path, handler);
+    delete(path: string, ...handlers: AppExpressRequestHandler[]): AppExpress {
+        this.#routes.delete.add(path, routeHandlers(path, handlers));
         return this;
     }
 
@@ -345,10 +766,10 @@ export default class AppExpress {
      * Registers an `OPTIONS` route.
      *
      * @param path - The URL path.
-     * @param handler - The handler to execute for the path.
+     * @param handlers - The middlewares to execute for the path, followed by the handler.
      */
-    options(path: string, handler: AppExpressRequestHandler): AppExpress {
-        this.#routes.options.set(path, handler);
+    options(path: string, ...handlers: AppExpressRequestHandler[]): AppExpress {
+        this.#routes.options.add(path, routeHandlers(path, handlers));
         return this;
     }
 
@@ -356,10 +777,79 @@ export default class AppExpress {
      * Registers a route for `ALL` methods.
      *
      * @param path - The URL path.
-     * @param handler - The handler to execute for the path.
+     * @param handlers - The middlewares to execute for the path, followed by the handler.
+     */
+    all(path: string, ...handlers: AppExpressRequestHandler[]): AppExpress {
+        this.#routes.all.add(path, routeHandlers(path, handlers));
+        return this;
+    }
+
+    /**
+     * Registers a handler for executions triggered by an Appwrite event.\
+     * Event segments support the same syntax as route segments, separated by a `.` instead of a `/`.\
+     * Like in Appwrite, a `*` stands for exactly one segment, a named `*action` spans one or more.
+     *
+     * ```typescript
+     * express.event('databases.*.collections.orders.documents.*.create', (request, response) => {
+     *     const { databases, documents } = request.params;
+     *     response.empty();
+     * });
+     *
+     * // a fallback for the events without a handler.
+     * express.event('*', (request, response) => response.empty());
+     * ```
+     *
+     * The ids of the event are available in `request.params`, keyed by the preceding segment,
+     * along with the named params & wildcards of the pattern.
+     *
+     * **Note**: Events without a matching handler or a fallback are routed by their path & method as usual.
+     *
+     * @param pattern - The event pattern. Example : `buckets.*.files.*.create`
+     * @param handlers - The middlewares to execute for the event, followed by the handler.
+     */
+    event(
+        pattern: string,
+        ...handlers: AppExpressRequestHandler[]
+    ): AppExpress {
+        this.#events.add(pattern, routeHandlers(pattern, handlers));
+        return this;
+    }
+
+    /**
+     * Registers a job for scheduled executions.\
+     * The job is selected by the `x-appexpress-job` header or else by the request path without the leading `/`,
+     * the unnamed job handles the executions without a name.
+     *
+     * ```typescript
+     * // runs for `/` or without a header.
+     * express.schedule(async () => await cleanupSessions());
+     *
+     * // runs for `/reports/daily` or `x-appexpress-job: reports/daily`.
+     * express.schedule('reports/daily', requireReportsEnabled, async (request) => {
+     *     return { sent: await sendDailyReports() };
+     * });
+     * ```
+     *
+     * Jobs only run their own middlewares, the incoming middlewares of the app are skipped.\
+     * A summary of the run is returned as a `json` response with the value returned by the handler as its `result`,
+     * unless a middleware or the handler prepares a response. Errors are logged and returned in the summary
+     * with a `500`, the error handlers are not used for jobs.
+     *
+     * **Note**: Scheduled executions are routed by their path & method as usual if no job is registered.
+     *
+     * @param name - The name of the job, or the handler for the unnamed job.
+     * @param handlers - The middlewares to execute for the job, followed by the handler.
      */
-    all(path: string, handler: AppExpressRequestHandler): AppExpress {
-        this.#routes.all.set(path, handler);
+    schedule(
+        name: string | AppExpressRequestHandler,
+        ...handlers: AppExpressRequestHandler[]
+    ): AppExpress {
+        if (typeof name === 'function') {
+            handlers.unshift(name);
+            name = '';
+        }
+
+        this.#jobs.set(name, routeHandlers(name || 'default', handlers));
         return this;
     }
 
@@ -403,71 +893,85 @@ export default class AppExpress {
         return this;
     }
 
+    /**
+     * Set the directory the paths of `views`, `static` & file responses are relative to.\
+     * Defaults to `AppExpress.baseDirectory`, the function directory inside the container.
+     *
+     * **Note**: Set it before adding the `static` directories, their files are listed when added.
+     *
+     * @param directory - The directory path, relative to the working directory.
+     */
+    baseDirectory(directory: string): AppExpress {
+        this.#baseDirectory = directory;
+        return this;
+    }
+
     /**
      * Specify a path where your static files are located for public access.\
      * Requests made to these files are handled via a `middleware` and are directly served.
      *
+     * Recently used files & their compressed variants are kept in memory,
+     * a changed file is read again. Precompressed `.br` & `.gz` sidecar files are served if present.
+     *
+     * ```typescript
+     * express.static('public', {
+     *     exclude: ['.env'],
+     *     maxAge: 3_600_000,
+     *     immutable: [/\.[0-9a-f]{8}\.(js|css)$/],
+     * });
+     *
+     * // a single page app under `/app`, its unknown paths get the `index.html`.
+     * express.static('dist', { prefix: '/app', fallback: 'index.html' });
+     * ```
+     *
+     * **Note**: Multiple directories are checked in the order they are added,
+     * the first one with a matching file serves it. The directory listings & the fallbacks are
+     * only used if no directory, nor a route matches the path, before the `notFound` handler.
+     *
      * @param directory - The directory path containing the public files.
-     * @param exclude - Name or regex pattern to exclude files.
+     * @param options - The options for the directory, or the names & regex patterns to exclude files.
      */
     static(
         directory: string = '',
-        exclude: (string | RegExp)[] = [],
+        options: (string | RegExp)[] | AppExpressStaticOptions = [],
     ): AppExpress {
         if (directory) {
-            const defType = 'text/plain';
-            const filesMapping = this.#processDirectory(directory, exclude);
-
-            this.middleware((request, response) => {
-                // anything other than `GET` req. method
-                // doesn't make sense on static resources.
-                if (request.method !== 'get') return;
-
-                let requestedFile = filesMapping[request.path];
-
-                // If `clean URLs` and no match found, check with `ext`.
-                if (!requestedFile && this.#cleanUrlExtensions.length) {
-                    const foundFile = this.#cleanUrlExtensions
-                        .map((ext) => `${request.path}.${ext}`)
-                        .reduce(
-                            (acc: string | null, path: string) =>
-                                acc || filesMapping[path] || null,
-                            null,
-                        );
-                    if (foundFile) requestedFile = foundFile;
-                }
-
-                // If index fallback is enabled & no file found,
-                // look for an `index.html` in the requested directory.
-                if (!requestedFile && this.#indexAsDefault) {
-                    const indexPath = path.join(request.path, 'index.html');
-                    requestedFile = filesMapping[indexPath];
-                }
-
-                if (requestedFile) {
-                    const options: { encoding?: BufferEncoding } = {};
-                    const contentType = mime.lookup(requestedFile) || defType;
-
-                    if (
-                        contentType.startsWith('text/') ||
-                        contentType === 'application/json'
-                    ) {
-                        options.encoding = 'utf8';
+            const settings = {
+                ...defaultStaticSettings,
+                ...(Array.isArray(options) ? { exclude: options } : options),
+            };
+
+            // one middleware serves all the directories, in order.
+            if (!this.#staticDirectories.length) {
+                this.middleware(async (request) => {
+                    // anything other than `GET` & `HEAD` req. methods
+                    // doesn't make sense on static resources.
+                    if (request.method !== 'get' && request.method !== 'head') {
+                        return;
                     }
 
-                    const fileContent = fs.readFileSync(requestedFile, options);
-
-                    if (options.encoding === 'utf8') {
-                        response.text(fileContent as string, 200, contentType);
-                    } else {
-                        response.binary(
-                            fileContent as Buffer,
-                            200,
-                            contentType,
+                    for (const files of this.#staticDirectories) {
+                        const requestedFile = files.resolve(
+                            request.path,
+                            this.#cleanUrlExtensions,
+                            this.#indexAsDefault,
                         );
+
+                        if (requestedFile) {
+                            await this.#sendStaticFile(files, requestedFile);
+                            return;
+                        }
                     }
-                }
-            });
+                });
+            }
+
+            this.#staticDirectories.push(
+                new StaticDirectory(
+                    path.join(this.#baseDirectory, directory),
+                    this.#processDirectory(directory, settings.exclude),
+                    settings,
+                ),
+            );
         }
 
         return this;
@@ -495,6 +999,106 @@ export default class AppExpress {
         return this;
     }
 
+    /**
+     * Set the limits for parsing `application/x-www-form-urlencoded` & `multipart/form-data` bodies
+     * via `request.form`, `request.fields` & `request.files`.\
+     * A request exceeding a limit throws an error with a `statusCode` of `413` when its body is parsed,
+     * answered with a `413 Payload Too Large` unless an error handler responds.
+     *
+     * Defaults are `100` fields of `1 MB` each & `10` files of `10 MB` each.
+     *
+     * @param limits - The limits to override.
+     */
+    bodyLimits(limits: Partial<AppExpressBodyLimits>): AppExpress {
+        this.#bodyLimits = { ...this.#bodyLimits, ...limits };
+        return this;
+    }
+
+    /**
+     * Set the secret for signing cookies via `response.cookie(name, value, { signed: true })`
+     * and verifying them via `request.signedCookies`.
+     *
+     * Pass multiple secrets to rotate them, the first one signs new cookies and all of them verify.
+     *
+     * @param secret - The secret or the list of secrets.
+     * @throws If no secret is provided.
+     */
+    cookieSecret(secret: string | string[]): AppExpress {
+        const secrets = Array.isArray(secret) ? secret : [secret];
+
+        if (!secrets.length || !secrets.every((value) => value.length > 0)) {
+            throw new Error(
+                'The cookie secret(s) must be non-empty string(s).',
+            );
+        }
+
+        this.#cookieSecrets = secrets;
+        return this;
+    }
+
+    /**
+     * Enable sessions, available via `request.session` for the middlewares & handlers added after this call.\
+     * The session is identified by a signed cookie & its changes are saved when the response is sent.
+     *
+     * ```typescript
+     * express.session({ secret: process.env.SESSION_SECRET });
+     *
+     * express.post('/login', async (request, response) => {
+     *     const user = await login(request.form);
+     *
+     *     // a new session id on login.
+     *     request.session.regenerate();
+     *     request.session.set('userId', user.$id);
+     *     response.redirect('/dashboard');
+     * });
+     * ```
+     *
+     * **Note**: The default in-memory store only keeps sessions while the function container is warm,
+     * provide a persistent `store` for production.
+     *
+     * @param options - The secret, the store & the cookie options.
+     * @throws If no secret is provided.
+     */
+    session(options: AppExpressSessionOptions): AppExpress {
+        const secrets = Array.isArray(options.secret)
+            ? options.secret
+            : [options.secret];
+
+        if (!secrets.length || !secrets.every((value) => value?.length > 0)) {
+            throw new Error(
+                'The session secret(s) must be non-empty string(s).',
+            );
+        }
+
+        const settings: SessionSettings = {
+            name: options.name ?? 'sid',
+            secrets,
+            store: options.store ?? new MemorySessionStore(),
+            cookie: {
+                httpOnly: true,
+                sameSite: 'lax',
+                maxAge: 24 * 60 * 60 * 1000,
+                ...options.cookie,
+            } as SessionSettings['cookie'],
+        };
+
+        this.middleware(async (request) => {
+            const { name, secrets, store } = settings;
+
+            const cookie = parseCookies(request.headers['cookie'])[name];
+            const id = cookie ? unsignCookie(cookie, secrets) : undefined;
+            const data = id ? await store.get(id) : undefined;
+
+            this.#context!.req._session = new AppExpressSession(
+                settings,
+                data ? (id as string) : undefined,
+                data,
+            );
+        });
+
+        return this;
+    }
+
     /**
      * Whether to add response header - `X-Powered-By: AppExpress`.\
      * If a custom value for the header is provided, it will be preserved.
@@ -509,35 +1113,88 @@ export default class AppExpress {
     }
 
     /**
-     * Compress body content when sending responses back to the client.
+     * Add an `ETag` header generated from the response body, before it is compressed.\
+     * This feature is **disabled** by default.
+     *
+     * `GET` & `HEAD` requests with a matching `If-None-Match`, or an `If-Modified-Since`
+     * not older than the `Last-Modified` header, get a `304 Not Modified` without a body.
+     *
+     * **Note**: Static files always have a `Last-Modified` header, based on the file's modification time.
+     *
+     * @param value - The type of ETags to generate, `true` is the same as `weak`. Pass `false` to disable.
+     */
+    etag(value: boolean | 'weak' | 'strong' = true): AppExpress {
+        if (
+            typeof value !== 'boolean' &&
+            value !== 'weak' &&
+            value !== 'strong'
+        ) {
+            throw new Error(
+                `Invalid ETag type '${value}', use 'weak' or 'strong'.`,
+            );
+        }
+
+        this.#etag = value === true ? 'weak' : value;
+        return this;
+    }
+
+    /**
+     * Compress body content when sending responses back to the client.\
+     * The encoding is negotiated with the `accept-encoding` header & its q-values,
+     * compressible responses get a `vary: Accept-Encoding` header.
      *
      * **Note**: Supported encodings are `br`, `gzip`, and `deflate`.
-     * If the client supports multiple encodings, `br` is prioritized.
+     * If the client accepts multiple encodings equally, `br` is prioritized.
+     * A custom handler can add encodings like `zstd` or replace the built-in ones:
+     *
+     * ```typescript
+     * express.compression({
+     *     encoders: [{ encoding: 'zstd', priority: 1, compress: (buffer) => zstd.compress(buffer) }],
+     * });
+     * ```
+     *
+     * The built-in encodings compress asynchronously & use lower levels for large bodies, unless `adaptive` is disabled.
+     * A `cacheSize` keeps the compressed bodies in memory by the hash of their contents,
+     * so identical bodies like rendered views are compressed once per warm container.
      *
      * @param value - Determines whether to enable compression, which is enabled by default, or to provide a custom compression handler.
-     * @param options - Specifies the compression levels for the supported encodings.
+     * @param options - Specifies the compression levels for the supported encodings, the minimum size of a body to compress & the cache.
+     * A missing level defaults to `11` for `br` & `6` for `gzip` & `deflate`.
      */
     compression(
         value: boolean | CompressionHandler = true,
-        options: { br: number; deflate: number; gzip: number } = {
-            br: 11,
-            gzip: 6,
-            deflate: 6,
-        },
+        options: CompressionOptions = {},
     ): AppExpress {
-        if (Object.keys(options).length !== 3) {
-            throw new Error(
-                'Please provide compression level options for all the supported encodings.',
-            );
+        const {
+            br = 11,
+            gzip = 6,
+            deflate = 6,
+            threshold = 1024,
+            adaptive = true,
+            cacheSize = 0,
+        } = options;
+
+        if (threshold < 0) {
+            throw new Error('Invalid compression threshold provided.');
+        }
+
+        if (cacheSize < 0) {
+            throw new Error('Invalid compression cache size provided.');
         }
 
         this.#compression = value;
 
-        this.#validateCompression(options.br, 1, 11);
-        this.#validateCompression(options.gzip, 1, 9);
-        this.#validateCompression(options.deflate, 1, 9);
+        this.#validateCompression(br, 1, 11);
+        this.#validateCompression(gzip, 1, 9);
+        this.#validateCompression(deflate, 1, 9);
 
-        this.#compressionLevel = options;
+        this.#compressionLevel = { br, gzip, deflate };
+        this.#compressionThreshold = threshold;
+        this.#adaptiveCompression = adaptive;
+        this.#compressionCache =
+            cacheSize > 0
+                ? new LRUCache(cacheSize, (body) => body.length)
+                : undefined;
 
         return this;
     }
@@ -552,9 +1209,127 @@ export default class AppExpress {
     }
 
     /**
-     * Reads a given directory and builds file mappings.
+     * Send a file of a static directory.
      *
-     * @param directory - The directory to read.
+     * @param files - The static directory containing the file.
+     * @param requestedFile - The path of the file.
+     */
+    async #sendStaticFile(
+        files: StaticDirectory,
+        requestedFile: string,
+    ): Promise<void> {
+        const request = this.#request!;
+        const response = this.#response!;
+        const contentType = mime.lookup(requestedFile) || 'text/plain';
+        const { content, mtime } = files.read(requestedFile);
+
+        const headers: Record<string, string> = {
+            'accept-ranges': 'bytes',
+            'last-modified': mtime.toUTCString(),
+        };
+
+        const cacheControl = files.cacheControl(requestedFile);
+        if (cacheControl) headers['cache-control'] = cacheControl;
+
+        // the default compression is applied here to reuse the compressed variants,
+        // a custom compression handler still runs on the uncompressed file.
+        const encodings =
+            this.#compression === true &&
+            isCompressible(contentType) &&
+            content.length >= this.#compressionThreshold
+                ? ['br', 'gzip', 'deflate']
+                : files.sidecars(requestedFile);
+
+        if (encodings.length) headers['vary'] = 'Accept-Encoding';
+
+        // ranges are served from the file as is.
+        const [encoding] = request.headers['range']
+            ? []
+            : negotiate(
+                  request.headers['accept-encoding'],
+                  [...encodings, 'identity'],
+                  'encoding',
+                  true,
+              );
+
+        if (encoding && encoding !== 'identity') {
+            headers['content-encoding'] = encoding;
+            response.setHeaders(headers);
+
+            // the cached variant, so a `HEAD` gets the same etag as a `GET`.
+            const encoded = await files.encoded(
+                requestedFile,
+                content,
+                encoding,
+                (buffer) => this.#encode(encoding, buffer),
+            );
+            response.binary(encoded, 200, contentType);
+        } else if (
+            contentType.startsWith('text/') ||
+            contentType === 'application/json'
+        ) {
+            response.setHeaders(headers);
+            response.text(content.toString('utf8'), 200, contentType);
+        } else {
+            response.setHeaders(headers);
+            response.binary(content, 200, contentType);
+        }
+    }
+
+    /**
+     * Find a directory listing or the fallback file of a static directory for a request without a route,
+     * like the `index.html` of a single page app.
+     *
+     * @returns A handler sending the listing, or the fallback file if the request accepts HTML.
+     */
+    #findStaticFallback(): AppExpressRequestHandler[] | undefined {
+        const request = this.#request!;
+
+        if (request.method !== 'get' && request.method !== 'head') {
+            return undefined;
+        }
+
+        for (const files of this.#staticDirectories) {
+            const entries = files.listing(request.path);
+
+            if (entries) {
+                return [
+                    (request, response) =>
+                        response.format({
+                            html: () =>
+                                response.text(
+                                    renderListing(
+                                        request.path,
+                                        entries,
+                                        request.baseUrl,
+                                    ),
+                                    200,
+                                    'text/html',
+                                ),
+                            json: () =>
+                                response.json({ path: request.path, entries }),
+                        }),
+                ];
+            }
+        }
+
+        if (!request.accepts('html')) return undefined;
+
+        for (const files of this.#staticDirectories) {
+            const fallbackFile = files.fallback(request.path);
+
+            if (fallbackFile) {
+                return [() => this.#sendStaticFile(files, fallbackFile)];
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Reads a given directory and builds file mappings.
+     *
+     * @param directory - The directory to read.
      * @param exclude - Name or regex pattern to exclude files.
      * @returns An object containing file names as keys and their relative path as values for reads.
      */
@@ -563,7 +1338,7 @@ export default class AppExpress {
         exclude: (string | RegExp)[],
     ): Record<string, string> {
         let filesMapping: Record<string, string> = {};
-        let directoryStack = [path.join(AppExpress.baseDirectory, directory)];
+        let directoryStack = [path.join(this.#baseDirectory, directory)];
 
         while (directoryStack.length) {
             const currentPath = directoryStack.pop()!;
@@ -588,7 +1363,7 @@ export default class AppExpress {
                 if (content.isDirectory()) {
                     directoryStack.push(fullPath);
                 } else if (content.isFile()) {
-                    let relativePath = `/${path.relative(AppExpress.baseDirectory, fullPath)}`;
+                    let relativePath = `/${path.relative(this.#baseDirectory, fullPath)}`;
                     relativePath = relativePath.replace(`/${directory}`, '');
                     filesMapping[relativePath] = fullPath;
                 }
@@ -619,6 +1394,18 @@ export default class AppExpress {
         console.error = this.#context.error;
     }
 
+    /**
+     * Log the warnings collected while registering the routes & the events, like duplicate routes.\
+     * Routes are registered before a context exists, so the warnings are logged with the next one.
+     */
+    #logRouteWarnings(): void {
+        for (const matcher of [...Object.values(this.#routes), this.#events]) {
+            for (const warning of matcher.takeWarnings()) {
+                this.#context!.log(warning);
+            }
+        }
+    }
+
     /**
      * Handle incoming requests.
      */
@@ -629,134 +1416,344 @@ export default class AppExpress {
 
         // setup response handler.
         this.#context!.req._dependencies = this.#dependencies;
-        this.#context!.res._baseDirectory = AppExpress.baseDirectory;
+        this.#context!.req._bodyLimits = this.#bodyLimits;
+        this.#context!.req._cookieSecrets = this.#cookieSecrets;
+        this.#context!.res._baseDirectory = this.#baseDirectory;
 
         if (this.#views) this.#context!.res._views = this.#views;
         if (this.#engine.size) this.#context!.res._engine = this.#engine;
 
-        // find the route...
-        const method = this.#request.method;
-        let routeHandler: AppExpressRequestHandler | undefined = (
-            this.#routes[method as keyof AppExpressRequestMethods] as Map<
-                string,
-                AppExpressRequestHandler
-            >
-        ).get(this.#request.path);
-
-        if (!routeHandler) {
-            for (const [path, handler] of this.#routes[
-                method as keyof AppExpressRequestMethods
-            ] as Map<string, AppExpressRequestHandler>) {
-                // Skip wildcard during matching.
-                if (path === '*') continue;
+        if (this.#request.triggeredType === 'schedule' && this.#jobs.size) {
+            return await this.#runJob();
+        }
 
-                const regexPattern = path
-                    .replace(/:\w+/g, '([^/]+)')
-                    .replace(/\*/g, '.*');
+        // nothing matched, use a static fallback or the not found handler.
+        const handlers = this.#findHandlers() ??
+            this.#findStaticFallback() ?? [
+                this.#notFoundHandler ?? this.#defaultNotFound,
+            ];
 
-                const regex = new RegExp('^' + regexPattern + '$');
-                const match = this.#request.path.match(regex);
+        try {
+            await this.#runHandlers(handlers);
 
-                if (match) {
-                    const keys = path.match(/:\w+/g);
-                    if (keys) {
-                        this.#extractParamsFromRoute(this.#request.path, path);
-                    }
+            return await this.#processHandlerResult();
+        } catch (error) {
+            return await this.#handleError(error);
+        }
+    }
 
-                    routeHandler = handler;
-                    break;
-                }
+    /**
+     * Run the job selected for a scheduled execution and return a summary of the run.
+     *
+     * @returns The result to be sent back to source.
+     */
+    async #runJob(): Promise<any> {
+        const name =
+            this.#request!.headers['x-appexpress-job'] ??
+            this.#request!.path.slice(1);
+        const handlers = this.#jobs.get(name);
+
+        const startedAt = Date.now();
+        const summary: AppExpressJobSummary = {
+            job: name || 'default',
+            status: 'completed',
+            startedAt: new Date(startedAt).toISOString(),
+            duration: 0,
+        };
+
+        let statusCode = 200;
+
+        try {
+            if (!handlers) {
+                statusCode = 404;
+                throw new Error(`No job registered for '${summary.job}'.`);
             }
+
+            const jobHandler = handlers[handlers.length - 1]!;
+            const chain = handlers
+                .slice(0, -1)
+                .map((handler) => this.#toAround(handler));
+
+            await this.#runChain(chain, 0, async (...args) => {
+                const result = await jobHandler(...args);
+                if (result !== undefined) summary.result = result;
+            });
+        } catch (error) {
+            this.#context!.res.dynamic = undefined;
+
+            summary.status = 'failed';
+            summary.error = error instanceof Error ? error.message : `${error}`;
+            if (statusCode === 200) statusCode = 500;
+
+            this.#context!.error(
+                error instanceof Error && error.stack ? error.stack : error,
+            );
         }
 
-        if (!routeHandler) {
-            for (const [path, handler] of this.#routes.all) {
-                const regexPattern = path
-                    .replace(/:\w+/g, '([^/]+)')
-                    .replace(/\*/g, '.*');
+        // a middleware or the job may have prepared a response.
+        if (!this.#contextHasReturn()) {
+            summary.duration = Date.now() - startedAt;
+            this.#response!.json(summary, statusCode);
+        }
 
-                const regex = new RegExp('^' + regexPattern + '$');
-                if (regex.test(this.#request.path)) {
-                    routeHandler = handler;
-                }
-            }
+        try {
+            const dynamic = this.#context!.res.dynamic!;
+            dynamic.body = await dynamic.body;
+            await this.#intercept(dynamic);
+
+            return await this.#processHandlerResult(false);
+        } catch (error) {
+            // skip the error handlers, they may render views.
+            return this.#sendErrorResult(error);
         }
+    }
 
-        if (!routeHandler) {
-            routeHandler = (
-                this.#routes[method as keyof AppExpressRequestMethods] as Map<
-                    string,
-                    AppExpressRequestHandler
-                >
-            ).get('*');
-            // can this ever be a use-case? IDK.
-            if (!routeHandler) routeHandler = this.#routes.all.get('*');
+    /**
+     * Find the handlers for the current request.\
+     * If the path only exists for other methods, a handler for a `405` or an `OPTIONS` response is returned.
+     *
+     * @returns The matched route's handlers, if any.
+     */
+    #findHandlers(): AppExpressRequestHandler[] | undefined {
+        const eventHandlers = this.#findEventHandlers();
+        if (eventHandlers) return eventHandlers;
+
+        // find the route...
+        // `HEAD` requests are served by the `GET` routes.
+        const method =
+            this.#request!.method === 'head' ? 'get' : this.#request!.method;
+        const methodRoutes = this.#routes[
+            method as keyof AppExpressRequestMethods
+        ] as RouteMatcher<AppExpressRequestHandler[]> | undefined;
+
+        const route =
+            methodRoutes?.find(this.#request!.path) ??
+            this.#routes.all.find(this.#request!.path);
+
+        if (route) {
+            this.#context!.req.params = route.params;
+            return route.value;
         }
 
-        // execute the incoming middlewares.
-        for (const middleware of this.#middlewares.incoming) {
-            // allowing middlewares to return things,
-            // example: a favicon handler or an auth check middleware.
-            await middleware(
-                this.#request,
-                this.#response,
-                this.#context!.log,
-                this.#context!.error,
-            );
+        let handlers = methodRoutes?.fallback;
+        // can this ever be a use-case? IDK.
+        if (!handlers) handlers = this.#routes.all.fallback;
 
-            // a middleware returned something.
-            if (this.#contextHasReturn()) break;
+        if (!handlers) {
+            // the path might exist for other methods.
+            const allowedMethods = this.#allowedMethods(this.#request!.path);
+            if (allowedMethods.length) {
+                handlers = [this.#methodNotAllowed(allowedMethods)];
+            }
         }
 
-        if (this.#contextHasReturn()) {
-            // a middleware indeed returned something.
-            return await this.#processHandlerResult();
+        return handlers;
+    }
+
+    /**
+     * Find the handlers for the event that triggered the execution, if any.
+     *
+     * @returns The matched event's handlers or the event fallback, if any.
+     */
+    #findEventHandlers(): AppExpressRequestHandler[] | undefined {
+        const event = this.#request!.event;
+        if (!event) return undefined;
+
+        const route = this.#events.find(event);
+        if (route) {
+            this.#context!.req.params = {
+                ...this.#request!.events,
+                ...route.params,
+            };
+            return route.value;
         }
 
-        if (routeHandler) {
+        return this.#events.fallback;
+    }
+
+    /**
+     * Run the middlewares and the route handler.
+     *
+     * @param handlers - The route's middlewares, followed by its handler.
+     */
+    async #runHandlers(handlers: AppExpressRequestHandler[]): Promise<void> {
+        // route middlewares run after the global ones.
+        const routeHandler = handlers[handlers.length - 1]!;
+        const chain = this.#middlewares.incoming.concat(
+            handlers.slice(0, -1).map((handler) => this.#toAround(handler)),
+        );
+
+        // execute the middlewares, route handler at the end.
+        await this.#runChain(chain, 0, routeHandler);
+    }
+
+    /**
+     * Run the middleware chain from the given position.
+     *
+     * @param chain - The middlewares to run.
+     * @param index - The position of the middleware in the chain.
+     * @param routeHandler - The handler to execute after the last middleware.
+     */
+    async #runChain(
+        chain: AppExpressAroundHandler[],
+        index: number,
+        routeHandler: AppExpressRequestHandler,
+    ): Promise<void> {
+        const middleware = chain[index];
+
+        if (!middleware) {
             // execute the route handler.
             await routeHandler(
-                this.#request,
-                this.#response,
+                this.#request!,
+                this.#response!,
                 this.#context!.log,
                 this.#context!.error,
             );
+            return;
+        }
 
-            return await this.#processHandlerResult();
-        } else {
-            // mimic express.js and return a similar error.
-            return this.#sendErrorResult(
-                `Cannot ${this.#request.method.toUpperCase()} '${this.#request.path}'.`,
-            );
+        const next = async () => {
+            try {
+                await this.#runChain(chain, index + 1, routeHandler);
+            } catch (error) {
+                // allows a retry or a different response.
+                this.#context!.res.dynamic = undefined;
+                throw error;
+            }
+
+            if (!this.#contextHasReturn()) return undefined;
+
+            const dynamic = this.#context!.res.dynamic!;
+            dynamic.body = await dynamic.body;
+            return dynamic;
+        };
+
+        await middleware(
+            this.#request!,
+            this.#response!,
+            next,
+            this.#context!.log,
+            this.#context!.error,
+        );
+    }
+
+    /**
+     * The default handler for requests that do not match any route.
+     */
+    #defaultNotFound: AppExpressRequestHandler = (request, response) => {
+        // mimic express.js and return a similar error.
+        response.text(
+            `Cannot ${request.method.toUpperCase()} '${request.path}'.`,
+            404,
+        );
+    };
+
+    /**
+     * Pass an error to the registered error handlers.
+     *
+     * @param error - The error thrown while processing the request.
+     * @param intercept - Whether to run the outgoing interceptors on the error response.
+     * @returns The result to be sent back to source.
+     */
+    async #handleError(
+        error: unknown,
+        intercept: boolean = true,
+    ): Promise<any> {
+        error = await this.#runErrorHandlers(error);
+
+        if (!this.#contextHasReturn()) return this.#sendErrorResult(error);
+
+        try {
+            return await this.#processHandlerResult(intercept);
+        } catch (processingError) {
+            // no second round for errors from the error response itself.
+            return this.#sendErrorResult(processingError);
         }
     }
 
     /**
-     * Extract dynamic params for the request.
+     * Run the registered error handlers until one of them prepares a response.
      *
-     * @param requestPath - The request path. Example : `/users/a4d3b4a80`
-     * @param routePathPattern - The pattern of the path intended for extraction. Example : `/users/:id`
+     * @param error - The error thrown while processing the request.
+     * @returns The last error, either the given one or one thrown by a handler.
      */
-    #extractParamsFromRoute(
-        requestPath: string,
-        routePathPattern: string,
-    ): void {
-        const pathParts = requestPath.split('/').filter((part) => part.length);
-        const patternParts = routePathPattern
-            .split('/')
-            .filter((part) => part.length);
+    async #runErrorHandlers(error: unknown): Promise<unknown> {
+        // discard a partially prepared response, if any.
+        this.#context!.res.dynamic = undefined;
+
+        for (const handler of this.#errorHandlers) {
+            try {
+                await handler(
+                    error,
+                    this.#request!,
+                    this.#response!,
+                    this.#context!.log,
+                    this.#context!.error,
+                );
+            } catch (handlerError) {
+                // let the next handler deal with the new error.
+                error = handlerError;
+                this.#context!.res.dynamic = undefined;
+                continue;
+            }
+
+            if (this.#contextHasReturn()) break;
+        }
 
-        if (patternParts.length !== pathParts.length) return;
+        return error;
+    }
+
+    /**
+     * Collect the methods that have a route registered for the request path.
+     *
+     * @param requestPath - The request path.
+     * @returns The allowed methods in uppercase, empty if the path has no routes.
+     */
+    #allowedMethods(requestPath: string): string[] {
+        const allowed: string[] = [];
 
-        // default empty list.
-        this.#context!.req.params = {};
+        for (const method in this.#routes) {
+            // `all` routes are already considered when finding the route.
+            if (method === 'all') continue;
 
-        for (let index = 0; index < patternParts.length; index++) {
-            if (patternParts[index]?.startsWith(':')) {
-                const paramName = patternParts[index]!.substring(1);
-                this.#context!.req.params![paramName] = pathParts[index]!;
+            const routes =
+                this.#routes[method as keyof AppExpressRequestMethods];
+
+            if (routes.find(requestPath)) {
+                allowed.push(method.toUpperCase());
+                if (method === 'get') allowed.push('HEAD');
             }
         }
+
+        // `OPTIONS` is answered automatically.
+        if (allowed.length && !allowed.includes('OPTIONS')) {
+            allowed.push('OPTIONS');
+        }
+
+        return allowed;
+    }
+
+    /**
+     * Builds a handler for a path that exists, but not for the requested method.\
+     * An `OPTIONS` request gets an empty response, others get a `405`.
+     * Both include the `Allow` header.
+     *
+     * @param allowedMethods - The methods registered for the path.
+     * @returns The handler for the request.
+     */
+    #methodNotAllowed(allowedMethods: string[]): AppExpressRequestHandler {
+        return (request, response) => {
+            response.setHeaders({ allow: allowedMethods.join(', ') });
+
+            if (request.method === 'options') {
+                response.empty();
+            } else {
+                response.text(
+                    `Cannot ${request.method.toUpperCase()} '${request.path}'.`,
+                    405,
+                );
+            }
+        };
     }
 
     /**
@@ -790,38 +1787,180 @@ export default class AppExpress {
     /**
      * Handles the result from either the middleware or the router handler.
      *
+     * @param intercept - Whether to run the outgoing interceptors on the response.
      * @returns The result from the `routeHandlerResult`.
+     * @throws If no response was prepared or if the compression fails.
      */
-    async #processHandlerResult(): Promise<any> {
-        if (this.#contextHasReturn()) {
-            const dynamic = this.#context!.res.dynamic!;
+    async #processHandlerResult(intercept: boolean = true): Promise<any> {
+        if (!this.#contextHasReturn()) {
+            throw new Error(
+                `Invalid return from route ${this.#request!.path}. Use 'response.empty()' if no response is expected.`,
+            );
+        }
 
-            try {
-                /**
-                 * `await` the body because it `could` be a promise that
-                 * resolves to a html string for rendering content or a buffer.
-                 */
-                dynamic.body = await dynamic.body;
-
-                for (const interceptor of this.#middlewares.outgoing) {
-                    await interceptor(
-                        this.#request!,
-                        dynamic,
-                        this.#context!.log,
-                        this.#context!.error,
-                    );
-                }
+        const dynamic = this.#context!.res.dynamic!;
 
-                // compress at the very end!
-                await this.#compress(dynamic);
+        /**
+         * `await` the body because it `could` be a promise that
+         * resolves to a html string for rendering content or a buffer.
+         */
+        dynamic.body = await dynamic.body;
+
+        await this.#saveSession(dynamic);
 
-                return dynamic;
+        if (intercept) {
+            try {
+                await this.#intercept(dynamic);
             } catch (error) {
-                return this.#sendErrorResult(`${error}`);
+                // the error response skips the interceptors.
+                return await this.#handleError(error, false);
             }
-        } else {
-            return this.#sendErrorResult(
-                `Invalid return from route ${this.#request!.path}. Use 'response.empty()' if no response is expected.`,
+        }
+
+        // a fresh copy on the client needs neither a body, nor compression.
+        if (this.#notModified(dynamic)) return dynamic;
+
+        // a part of the response is sent as is.
+        if (this.#partialContent(dynamic)) return dynamic;
+
+        // compress at the very end!
+        await this.#compress(dynamic);
+
+        // `HEAD` responses only carry the headers.
+        if (this.#request!.method === 'head') dynamic.body = '';
+
+        return dynamic;
+    }
+
+    /**
+     * Add the `ETag` header if enabled & turn the response into a `304 Not Modified`
+     * if the client's cached copy is still fresh.
+     *
+     * @param dynamic - The dynamic object containing body, statusCode and headers.
+     * @returns true if the response was turned into a `304 Not Modified`.
+     */
+    #notModified(dynamic: AppExpressResponseInterceptor): boolean {
+        const method = this.#request!.method;
+        const { statusCode, headers, body } = dynamic;
+
+        if (method !== 'get' && method !== 'head') return false;
+        if (statusCode < 200 || statusCode >= 300) return false;
+        if (statusCode === 204) return false;
+
+        const buffer =
+            body === undefined || body === null
+                ? undefined
+                : (this.#bodyBuffer(body) ?? Buffer.from(JSON.stringify(body)));
+
+        // nothing to tag without a body.
+        if (
+            this.#etag &&
+            buffer?.length &&
+            headerValue(headers, 'etag') === undefined
+        ) {
+            headers['etag'] = generateETag(buffer, this.#etag === 'weak');
+        }
+
+        if (!isFresh(this.#context!.req.headers, headers)) return false;
+
+        this.#removeContentHeaders(headers);
+        dynamic.statusCode = 304;
+        dynamic.body = '';
+        return true;
+    }
+
+    /**
+     * Turn the response into a `206 Partial Content` for a `range` request,
+     * or a `416 Range Not Satisfiable` if the range is outside the body.\
+     * Only responses with an `accept-ranges: bytes` header, like files, are considered.
+     *
+     * @param dynamic - The dynamic object containing body, statusCode and headers.
+     * @returns true if the response was turned into a `206` or a `416`.
+     */
+    #partialContent(dynamic: AppExpressResponseInterceptor): boolean {
+        const reqHeaders = this.#context!.req.headers;
+        const { statusCode, headers, body } = dynamic;
+
+        const range = reqHeaders['range'];
+        if (!range || this.#request!.method !== 'get') return false;
+        if (statusCode !== 200) return false;
+        if (headerValue(headers, 'accept-ranges') !== 'bytes') return false;
+        if (!isRangeFresh(reqHeaders['if-range'], headers)) return false;
+
+        const buffer = this.#bodyBuffer(body);
+        if (!buffer) return false;
+
+        const bytes = parseRange(range, buffer.length);
+        if (bytes === undefined) return false;
+
+        if (bytes === null) {
+            this.#removeContentHeaders(headers);
+            headers['content-range'] = `bytes */${buffer.length}`;
+            dynamic.statusCode = 416;
+            dynamic.body = '';
+            return true;
+        }
+
+        const { start, end } = bytes;
+        headers['content-range'] = `bytes ${start}-${end}/${buffer.length}`;
+        this.#updateDynamic(dynamic, headers, buffer.subarray(start, end + 1));
+        dynamic.statusCode = 206;
+        return true;
+    }
+
+    /**
+     * Remove the headers describing a body, for responses sent without one.
+     *
+     * @param headers - The headers of the response.
+     */
+    #removeContentHeaders(
+        headers: Record<string, string | number | boolean | string[]>,
+    ): void {
+        const contentHeader =
+            /^(content-(type|length|encoding)|transfer-encoding)$/i;
+
+        for (const key of Object.keys(headers)) {
+            if (contentHeader.test(key)) delete headers[key];
+        }
+    }
+
+    /**
+     * Save the session of the request & add its cookie to the response, if changed.
+     *
+     * @param dynamic - The dynamic object containing body, statusCode and headers.
+     */
+    async #saveSession(dynamic: AppExpressResponseInterceptor): Promise<void> {
+        const session = this.#context!.req._session;
+        if (!session) return;
+
+        const cookie = await session.commit();
+        if (!cookie) return;
+
+        const existing = dynamic.headers['set-cookie'];
+        const cookies = Array.isArray(existing)
+            ? existing
+            : existing
+              ? [`${existing}`]
+              : [];
+
+        // an error response may reuse the headers with the cookie.
+        if (cookies.includes(cookie)) return;
+
+        dynamic.headers['set-cookie'] = [...cookies, cookie];
+    }
+
+    /**
+     * Run the outgoing interceptors on the prepared response.
+     *
+     * @param dynamic - The dynamic object containing body, statusCode and headers.
+     */
+    async #intercept(dynamic: AppExpressResponseInterceptor): Promise<void> {
+        for (const interceptor of this.#middlewares.outgoing) {
+            await interceptor(
+                this.#request!,
+                dynamic,
+                this.#context!.log,
+                this.#context!.error,
             );
         }
     }
@@ -830,7 +1969,7 @@ export default class AppExpress {
      * Adds the "X-Powered-By" header.
      */
     #addPoweredByHeader(dynamic: {
-        headers?: Record<string, string | number | boolean>;
+        headers?: Record<string, string | number | boolean | string[]>;
     }): void {
         if (!dynamic.headers) return;
 
@@ -843,20 +1982,43 @@ export default class AppExpress {
     /**
      * Return an error result to source.
      *
-     * @param error - The error message.
+     * @param error - The error or the error message.
      * @returns The result to be sent back to source.
      */
-    #sendErrorResult(error: string): any {
+    #sendErrorResult(error: unknown): any {
+        const message = error instanceof Error ? error.message : `${error}`;
+
         // for console executions.
-        this.#context!.error(error);
+        this.#context!.error(
+            error instanceof Error && error.stack ? error.stack : message,
+        );
+
+        // errors can carry their status, like a `413` for a body too large.
+        const statusCode = this.#errorStatus(error);
 
         // return as per original implementation,
         // open-runtimes > node* > src > server.js
-        return this.#context!.res.send(error, 500, {
+        return this.#context!.res.send(message, statusCode, {
             'content-type': 'text/plain',
         });
     }
 
+    /**
+     * Get the status code carried by an error, if it is a valid error status.
+     *
+     * @param error - The error thrown while processing the request.
+     * @returns The `statusCode` of the error, `500` otherwise.
+     */
+    #errorStatus(error: unknown): number {
+        const { statusCode } = Object(error) as { statusCode?: unknown };
+
+        return Number.isInteger(statusCode) &&
+            (statusCode as number) >= 400 &&
+            (statusCode as number) < 600
+            ? (statusCode as number)
+            : 500;
+    }
+
     /**
      * Apply appropriate compression based on the accepted encoding.
      *
@@ -864,112 +2026,138 @@ export default class AppExpress {
      */
     async #compress(dynamic: {
         body: unknown;
-        headers: Record<string, string | number | boolean>;
+        headers: Record<string, string | number | boolean | string[]>;
     }): Promise<void> {
         if (!this.#compression) return;
 
         const { headers, body } = dynamic;
-        const reqHeaders = this.#context!.req.headers;
-        const acceptEncoding = reqHeaders['accept-encoding'];
-        if (!acceptEncoding) return;
 
-        let buffer: Buffer;
-        const encodings = acceptEncoding
-            .split(',')
-            .map((enc: string) => enc.trim());
+        // already compressed, like precompressed static files.
+        if (headerValue(headers, 'content-encoding') !== undefined) return;
 
-        if (Buffer.isBuffer(body)) buffer = body;
-        else if (typeof body === 'string') buffer = Buffer.from(body);
-        else return;
+        const buffer = this.#bodyBuffer(body);
+        if (!buffer) return;
 
-        if (
-            // apply user side compression if available.
-            !(await this.#userCompression(encodings, headers, buffer, dynamic))
-        ) {
-            // just apply the default compression
-            this.#defaultCompression(encodings, headers, buffer, dynamic);
-        }
-    }
+        if (!isCompressible(headerValue(headers, 'content-type') ?? '')) return;
 
-    /**
-     * Use a compression provided by the user.
-     */
-    async #userCompression(
-        encodings: string[],
-        headers: Record<string, string | number | boolean>,
-        buffer: Buffer,
-        dynamic: {
-            body: unknown;
-            headers: Record<string, string | number | boolean>;
-        },
-    ): Promise<boolean> {
-        if (typeof this.#compression !== 'boolean') {
-            const compressor = this.#compression as CompressionHandler;
+        // caches need to know the body depends on the accepted encodings.
+        appendVary(headers, 'Accept-Encoding');
+        if (buffer.length < this.#compressionThreshold) return;
 
-            const contentType = headers['content-type'] as string;
-            const compressorEncodings = compressor.encodings;
-            const supportedEncoding = encodings.find((encoding) =>
-                compressorEncodings.has(encoding),
-            );
+        // the identity wins if the client prefers an uncompressed body.
+        const encoders = this.#encoders();
+        const [encoding] = negotiate(
+            this.#context!.req.headers['accept-encoding'],
+            [...encoders.map((encoder) => encoder.encoding), 'identity'],
+            'encoding',
+            true,
+        );
 
-            if (!supportedEncoding || !isCompressible(contentType)) {
-                return false;
-            }
+        const encoder = encoders.find((item) => item.encoding === encoding);
+        if (!encoder) return;
 
-            const compressedContent = await compressor.compress(
-                buffer,
-                this.#context!.log,
-                this.#context!.error,
-            );
+        headers['content-encoding'] = encoder.encoding;
 
-            headers['content-encoding'] =
-                Array.from(compressorEncodings).join(', ');
+        // `HEAD` responses only need the headers, the body is never sent.
+        if (this.#request!.method === 'head') return;
 
-            this.#updateDynamic(dynamic, headers, compressedContent);
-            return true;
-        } else return false;
+        const compressedContent = await this.#cachedCompress(encoder, buffer);
+        this.#updateDynamic(dynamic, headers, compressedContent);
     }
 
     /**
-     * Use the default standard compressions.
+     * List the available encoders, the preferred ones first.\
+     * The custom encoders come before the built-in ones of the same priority & replace the ones of the same encoding.
+     *
+     * @returns The encoders, sorted by their priority.
      */
-    #defaultCompression(
-        encodings: string[],
-        headers: Record<string, string | number | boolean>,
+    #encoders(): CompressionEncoder[] {
+        let custom: CompressionEncoder[] = [];
+
+        if (typeof this.#compression !== 'boolean') {
+            const handler = this.#compression;
+            custom =
+                'encoders' in handler
+                    ? handler.encoders
+                    : [...handler.encodings].map((encoding) => ({
+                          encoding,
+                          compress: handler.compress,
+                      }));
+        }
+
+        // perf. wise : br > gzip > deflate.
+        const builtIn: CompressionEncoder[] = ['br', 'gzip', 'deflate']
+            .filter(
+                (encoding) =>
+                    !custom.some((encoder) => encoder.encoding === encoding),
+            )
+            .map((encoding) => ({
+                encoding,
+                compress: (buffer: Buffer) => this.#encode(encoding, buffer),
+            }));
+
+        return [...custom, ...builtIn].sort(
+            (a, b) => (b.priority ?? 0) - (a.priority ?? 0),
+        );
+    }
+
+    /**
+     * Compress a buffer with an encoder, reusing the compressed body of an identical content if cached.
+     *
+     * @param encoder - The negotiated encoder.
+     * @param buffer - The content to compress.
+     * @returns The compressed content.
+     */
+    async #cachedCompress(
+        encoder: CompressionEncoder,
         buffer: Buffer,
-        dynamic: {
-            body: unknown;
-            headers: Record<string, string | number | boolean>;
-        },
-    ): void {
-        const contentType = headers['content-type'];
+    ): Promise<Buffer> {
+        const cache = this.#compressionCache;
+        const key = cache && compressionKey(encoder.encoding, buffer);
 
-        if (!isCompressible(contentType as string)) return;
+        const cached = key && cache.get(key);
+        if (cached) return cached;
 
-        let compressedContent: Buffer;
+        const compressed = await encoder.compress(
+            buffer,
+            this.#context!.log,
+            this.#context!.error,
+        );
 
-        // perf. wise : br > gzip > deflate.
-        if (encodings.includes('br')) {
-            headers['content-encoding'] = 'br';
-            compressedContent = zlib.brotliCompressSync(buffer, {
-                params: {
-                    [zlib.constants.BROTLI_PARAM_QUALITY]:
-                        this.#compressionLevel.br,
-                },
-            });
-        } else if (encodings.includes('gzip')) {
-            headers['content-encoding'] = 'gzip';
-            compressedContent = zlib.gzipSync(buffer, {
-                level: this.#compressionLevel.gzip,
-            });
-        } else if (encodings.includes('deflate')) {
-            headers['content-encoding'] = 'deflate';
-            compressedContent = zlib.deflateSync(buffer, {
-                level: this.#compressionLevel.deflate,
-            });
-        } else return;
+        if (key) cache.set(key, compressed);
+        return compressed;
+    }
 
-        this.#updateDynamic(dynamic, headers, compressedContent);
+    /**
+     * Compress a buffer with one of the default encodings, at the configured level.
+     *
+     * @param encoding - One of `br`, `gzip` or `deflate`.
+     * @param buffer - The content to compress.
+     * @returns The compressed content.
+     */
+    #encode(encoding: string, buffer: Buffer): Promise<Buffer> {
+        const level =
+            this.#compressionLevel[encoding as 'br' | 'gzip' | 'deflate'];
+
+        return compress(
+            encoding,
+            buffer,
+            this.#adaptiveCompression
+                ? adaptiveLevel(encoding, level, buffer.length)
+                : level,
+        );
+    }
+
+    /**
+     * Get the bytes of a response body.
+     *
+     * @param body - The awaited response body.
+     * @returns The body as a buffer, `undefined` if it is neither a buffer nor a string.
+     */
+    #bodyBuffer(body: unknown): Buffer | undefined {
+        if (Buffer.isBuffer(body)) return body;
+        if (typeof body === 'string') return Buffer.from(body);
+        return undefined;
     }
 
     /**
@@ -978,9 +2166,9 @@ export default class AppExpress {
     #updateDynamic(
         dynamic: {
             body: unknown;
-            headers: Record<string, string | number | boolean>;
+            headers: Record<string, string | number | boolean | string[]>;
         },
-        headers: Record<string, string | number | boolean>,
+        headers: Record<string, string | number | boolean | string[]>,
         body: Buffer,
     ): void {
         dynamic.body = body;
@@ -999,6 +2187,7 @@ export default class AppExpress {
 
         // override console logging.
         this.#overrideConsoleLogging();
+        this.#logRouteWarnings();
 
         // attach AppExpress to Function.
         return await this.#handleRequest();
@@ -1,30 +1,91 @@
-import type { AppwriteContext, AppwriteRequest } from './types/index.js';
+import {
+    defaultBodyLimits,
+    parseMultipart,
+    parseUrlEncoded,
+} from './utils/body.js';
+import type { MultipartBody } from './utils/body.js';
+import { validatedValues } from './utils/validator.js';
+import { parseCookies, unsignCookie } from './utils/cookies.js';
+import {
+    accepted,
+    mediaType as mediaTypeOf,
+    negotiate,
+    resolveType,
+} from './utils/negotiation.js';
+import type { NegotiationKind } from './utils/negotiation.js';
+import type AppExpressSession from './session.js';
+import type {
+    AppExpressBodyLimits,
+    AppExpressEventResource,
+    AppExpressUploadedFile,
+    AppExpressValidated,
+    AppExpressValidationSchemas,
+    AppwriteContext,
+    AppwriteModel,
+    AppwriteRequest,
+} from './types/index.js';
+
+/**
+ * The event segments that are resource collections, mapped to the kind of their resources.
+ */
+const resourceKinds: Record<string, string> = {
+    databases: 'database',
+    collections: 'collection',
+    documents: 'document',
+    attributes: 'attribute',
+    indexes: 'index',
+    tables: 'table',
+    rows: 'row',
+    columns: 'column',
+    buckets: 'bucket',
+    files: 'file',
+    users: 'user',
+    sessions: 'session',
+    recovery: 'recovery',
+    verification: 'verification',
+    teams: 'team',
+    memberships: 'membership',
+    functions: 'function',
+    deployments: 'deployment',
+    executions: 'execution',
+};
 
 /**
  * Represents the incoming http request.
  */
 export default class AppExpressRequest {
+    readonly #baseUrl: string;
     readonly #requestPath: string;
     readonly #request: AppwriteRequest;
     readonly #context: AppwriteContext;
+    #cookies?: {
+        unsigned: Record<string, string>;
+        signed: Record<string, string | false>;
+    };
+    #form?: Record<string, string | string[]>;
+    #multipart?: MultipartBody;
 
     /**
      * Initializes a new instance of the `AppExpressRequest` class.
      *
      * @param context - The context provided by the executed `Appwrite Function`.
+     * @param baseUrl - The path the handling application is mounted on, if any.
      */
-    constructor(context: AppwriteContext) {
+    constructor(context: AppwriteContext, baseUrl: string = '') {
         this.#context = context;
         this.#request = context.req;
+        this.#baseUrl = baseUrl;
 
         /**
          * evaluate request path replacement logic here in the constructor
          * as `path` can be called multiple times during a function's lifecycle.
          */
-        this.#requestPath =
+        const requestPath =
             this.#request.path === '/'
                 ? this.#request.path
                 : this.#request.path.replace(/\/+$/, '');
+
+        this.#requestPath = requestPath.slice(baseUrl.length) || '/';
     }
 
     /**
@@ -83,6 +144,46 @@ export default class AppExpressRequest {
         return this.#request.bodyBinary;
     }
 
+    /**
+     * Gets the fields of an `application/x-www-form-urlencoded` body.\
+     * Repeated field names are collected into an array.
+     *
+     * @returns The parsed fields or empty if the body is not url-encoded.
+     * @throws If the number or the size of the fields exceeds the limits.
+     */
+    get form(): Record<string, string | string[]> {
+        if (!this.#form) {
+            this.#form = this.#hasContentType(
+                'application/x-www-form-urlencoded',
+            )
+                ? parseUrlEncoded(this.bodyText ?? '', this.#bodyLimits)
+                : {};
+        }
+
+        return this.#form;
+    }
+
+    /**
+     * Gets the text fields of a `multipart/form-data` body.\
+     * Repeated field names are collected into an array.
+     *
+     * @returns The parsed fields or empty if the body is not multipart.
+     * @throws If the body is malformed or exceeds the limits.
+     */
+    get fields(): Record<string, string | string[]> {
+        return this.#parseMultipart().fields;
+    }
+
+    /**
+     * Gets the files of a `multipart/form-data` body.
+     *
+     * @returns The uploaded files or empty if the body is not multipart.
+     * @throws If the body is malformed or exceeds the limits.
+     */
+    get files(): AppExpressUploadedFile[] {
+        return this.#parseMultipart().files;
+    }
+
     /**
      * Gets the headers of the request.
      *
@@ -92,6 +193,83 @@ export default class AppExpressRequest {
         return this.#request.headers;
     }
 
+    /**
+     * Gets the unsigned cookies of the request.
+     *
+     * @returns The decoded cookies or empty if none were sent.
+     */
+    get cookies(): Record<string, string> {
+        return this.#parseCookies().unsigned;
+    }
+
+    /**
+     * Gets the signed cookies of the request, verified with the secrets set via `AppExpress#cookieSecret`.\
+     * A cookie with an invalid signature has the value `false`.
+     *
+     * @returns The verified cookies or empty if none were sent.
+     */
+    get signedCookies(): Record<string, string | false> {
+        return this.#parseCookies().signed;
+    }
+
+    /**
+     * Get the session of the request, available if sessions are enabled via `AppExpress#session`.
+     *
+     * @returns The session.
+     * @throws If sessions are not enabled.
+     */
+    get session(): AppExpressSession {
+        if (!this.#request._session) {
+            throw new Error(
+                "No session found. Use 'AppExpress#session' to enable sessions.",
+            );
+        }
+
+        return this.#request._session;
+    }
+
+    /**
+     * Check which of the content types the client prefers, based on the `accept` header & its q-values.\
+     * Types can be mime types or file extensions like `json`.
+     *
+     * ```typescript
+     * request.accepts(['html', 'json']); // 'html', 'json' or false
+     * ```
+     *
+     * @param types - The types the server can respond with. If omitted, the types accepted by the client are returned.
+     * @returns The preferred type or `false` if none is acceptable, or all the accepted types, the most preferred first.
+     */
+    accepts(): string[];
+    accepts(types: string | string[]): string | false;
+    accepts(types?: string | string[]): string[] | string | false {
+        return this.#negotiate('accept', types, 'type');
+    }
+
+    /**
+     * Check which of the languages the client prefers, based on the `accept-language` header & its q-values.
+     *
+     * @param languages - The languages the server can respond with. If omitted, the languages accepted by the client are returned.
+     * @returns The preferred language or `false` if none is acceptable, or all the accepted languages, the most preferred first.
+     */
+    acceptsLanguages(): string[];
+    acceptsLanguages(languages: string | string[]): string | false;
+    acceptsLanguages(languages?: string | string[]): string[] | string | false {
+        return this.#negotiate('accept-language', languages, 'language');
+    }
+
+    /**
+     * Check which of the encodings the client prefers, based on the `accept-encoding` header & its q-values.\
+     * The `identity` encoding is acceptable unless the client excludes it.
+     *
+     * @param encodings - The encodings the server can respond with. If omitted, the encodings accepted by the client are returned.
+     * @returns The preferred encoding or `false` if none is acceptable, or all the accepted encodings, the most preferred first.
+     */
+    acceptsEncodings(): string[];
+    acceptsEncodings(encodings: string | string[]): string | false;
+    acceptsEncodings(encodings?: string | string[]): string[] | string | false {
+        return this.#negotiate('accept-encoding', encodings, 'encoding');
+    }
+
     /**
      * Get the request scheme (http or https).
      *
@@ -146,6 +324,15 @@ export default class AppExpressRequest {
         return this.#requestPath;
     }
 
+    /**
+     * Get the path the handling application is mounted on.
+     *
+     * @returns The mount path, empty if the application is not mounted on another one.
+     */
+    get baseUrl(): string {
+        return this.#baseUrl;
+    }
+
     /**
      * Get the raw query params string from the URL.
      *
@@ -187,6 +374,17 @@ export default class AppExpressRequest {
             | 'schedule';
     }
 
+    /**
+     * Get the full event name if function triggered by an `event`.
+     *
+     * Example: `databases.shop.collections.orders.documents.a4d3b4a80.create`
+     *
+     * @returns The event name.
+     */
+    get event(): string | undefined {
+        return this.#fullEventType;
+    }
+
     /**
      * Event mapping based on the event type.
      *
@@ -211,6 +409,90 @@ export default class AppExpressRequest {
         return undefined;
     }
 
+    /**
+     * Get the payload of the event that triggered the function.
+     *
+     * ```typescript
+     * const document = request.eventPayload<AppwriteDocument>();
+     * ```
+     *
+     * @returns The parsed body if function triggered by an `event`.
+     */
+    eventPayload<T = Record<string, unknown>>(): T | undefined {
+        if (!this.#fullEventType) return undefined;
+        return this.bodyJson as T;
+    }
+
+    /**
+     * Get the resource of the event that triggered the function.
+     *
+     * For `databases.shop.collections.orders.documents.a4d3b4a80.create`, the resource is -
+     * ```json
+     * {
+     *   "kind": "document",
+     *   "action": "create",
+     *   "id": "a4d3b4a80",
+     *   "ids": { "database": "shop", "collection": "orders", "document": "a4d3b4a80" },
+     *   "payload": { "$id": "a4d3b4a80", ... }
+     * }
+     * ```
+     *
+     * @returns The resource if function triggered by an `event`.
+     */
+    eventResource<T extends AppwriteModel = AppwriteModel>():
+        | AppExpressEventResource<T>
+        | undefined {
+        const eventType = this.#fullEventType;
+        if (!eventType) return undefined;
+
+        const segments = eventType.split('.');
+        const ids: Record<string, string> = {};
+
+        let kind = '';
+        let index = 0;
+
+        // `[resources].[id]` pairs until the action.
+        while (
+            index + 1 < segments.length &&
+            !['create', 'update', 'delete'].includes(segments[index]!)
+        ) {
+            const key = segments[index]!;
+            kind = resourceKinds[key] ?? key.replace(/s$/, '');
+            ids[kind] = segments[index + 1]!;
+            index += 2;
+        }
+
+        return {
+            kind,
+            action: segments.slice(index).join('.'),
+            id: ids[kind] ?? '',
+            ids,
+            payload: this.bodyJson as T,
+        };
+    }
+
+    /**
+     * Get the values parsed by the `AppExpress.validate` middleware of the route.
+     *
+     * ```typescript
+     * const schemas = {
+     *     query: { type: 'object', properties: { limit: { type: 'integer' } } },
+     * } as const;
+     *
+     * express.get('/users', AppExpress.validate(schemas), (request, response) => {
+     *     const { query } = request.validated<typeof schemas>();
+     *     // query.limit is a number.
+     * });
+     * ```
+     *
+     * @returns The parsed values or empty if the request was not validated.
+     */
+    validated<
+        S extends AppExpressValidationSchemas = AppExpressValidationSchemas,
+    >(): AppExpressValidated<S> {
+        return (validatedValues.get(this) ?? {}) as AppExpressValidated<S>;
+    }
+
     /**
      * Retrieves an instance based on its type and optional identifier.
      *
@@ -255,7 +537,7 @@ export default class AppExpressRequest {
      * The properties included are:
      * - Network and Connection Details: scheme, host, port, method
      * - Request Data: url, path, queryString, query, headers, body, params
-     * - Operational Details: triggeredType, events, eventType
+     * - Operational Details: triggeredType, event, events, eventType
      */
     dump(): string {
         return JSON.stringify(
@@ -278,6 +560,7 @@ export default class AppExpressRequest {
 
                 // Operational Details
                 triggeredType: this.triggeredType,
+                event: this.event,
                 events: this.events,
                 eventType: this.eventType,
             },
@@ -286,6 +569,103 @@ export default class AppExpressRequest {
         );
     }
 
+    /**
+     * Negotiate the offers against an `accept*` header.
+     *
+     * @param header - The name of the header.
+     * @param offers - The values the server can provide, if any.
+     * @param kind - The kind of the header.
+     * @returns The preferred offer or `false`, or the accepted values if no offers are given.
+     */
+    #negotiate(
+        header: string,
+        offers: string | string[] | undefined,
+        kind: NegotiationKind,
+    ): string[] | string | false {
+        const headerValue = this.headers[header];
+        if (offers === undefined) return accepted(headerValue, kind);
+
+        const values = Array.isArray(offers) ? offers : [offers];
+        const resolved = values.map((value) =>
+            kind === 'type' ? resolveType(value) : value,
+        );
+
+        const [preferred] = negotiate(headerValue, resolved, kind);
+        return preferred === undefined
+            ? false
+            : values[resolved.indexOf(preferred)]!;
+    }
+
+    /**
+     * Parse the `cookie` header once, separating the signed cookies.
+     *
+     * @returns The unsigned and the signed cookies.
+     */
+    #parseCookies(): {
+        unsigned: Record<string, string>;
+        signed: Record<string, string | false>;
+    } {
+        if (!this.#cookies) {
+            const secrets = this.#request._cookieSecrets ?? [];
+            this.#cookies = {
+                unsigned: Object.create(null),
+                signed: Object.create(null),
+            };
+
+            const cookies = parseCookies(this.headers['cookie']);
+            for (const [name, value] of Object.entries(cookies)) {
+                // signed values can't be verified without a secret.
+                const unsigned = secrets.length
+                    ? unsignCookie(value, secrets)
+                    : undefined;
+
+                if (unsigned === undefined) {
+                    this.#cookies.unsigned[name] = value;
+                } else {
+                    this.#cookies.signed[name] = unsigned;
+                }
+            }
+        }
+
+        return this.#cookies;
+    }
+
+    /**
+     * Parse the `multipart/form-data` body once.
+     *
+     * @returns The parsed fields and files.
+     */
+    #parseMultipart(): MultipartBody {
+        if (!this.#multipart) {
+            this.#multipart = this.#hasContentType('multipart/form-data')
+                ? parseMultipart(
+                      this.bodyBinary ?? Buffer.from(this.bodyText ?? ''),
+                      this.headers['content-type']!,
+                      this.#bodyLimits,
+                  )
+                : { fields: {}, files: [] };
+        }
+
+        return this.#multipart;
+    }
+
+    /**
+     * Check the media type of the request body.
+     *
+     * @param mediaType - The expected media type.
+     * @returns true if the `content-type` header has the media type.
+     */
+    #hasContentType(mediaType: string): boolean {
+        return mediaTypeOf(this.headers['content-type'] ?? '') === mediaType;
+    }
+
+    /**
+     * The limits set by the application for parsing form bodies.
+     */
+    get #bodyLimits(): AppExpressBodyLimits {
+        return this.#request._bodyLimits ?? defaultBodyLimits;
+    }
+
     /**
      * Get the event name if function triggered by an `event`.
      *
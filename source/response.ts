@@ -1,7 +1,12 @@
 import path from 'path';
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import mime from 'mime-types';
+import { serializeCookie, signCookie } from './utils/cookies.js';
+import { negotiate, resolveType } from './utils/negotiation.js';
+import { appendVary, contentDisposition } from './utils/index.js';
 import type {
+    AppExpressCookieOptions,
     AppwriteContext,
     AppwriteResponse,
     AppwriteResponseObject,
@@ -14,6 +19,8 @@ export default class AppExpressResponse {
     readonly #context: AppwriteContext;
     readonly #response: AppwriteResponse;
     #customHeaders: Record<string, string | number | boolean>;
+    #cookies: Map<string, string> = new Map();
+    #statusCode?: number;
 
     /**
      * Initializes a new instance of the `AppExpressResponse` class.
@@ -64,13 +71,170 @@ export default class AppExpressResponse {
         this.#customHeaders = {};
     }
 
+    /**
+     * Set the status code for the response, used by the methods called without a `statusCode`.
+     *
+     * ```typescript
+     * response.status(201).json({ id: document.$id });
+     * ```
+     *
+     * @param statusCode - The HTTP status code.
+     * @returns The response, for chaining.
+     * @throws If the status code is not a valid HTTP status code.
+     */
+    status(statusCode: number): this {
+        if (
+            !Number.isInteger(statusCode) ||
+            statusCode < 100 ||
+            statusCode > 599
+        ) {
+            throw new Error(`Invalid status code '${statusCode}'.`);
+        }
+
+        this.#statusCode = statusCode;
+        return this;
+    }
+
+    /**
+     * Set the `location` header.\
+     * Pass `back` to use the `referer` header of the request, or `/` if there's none.
+     *
+     * @param url - The URL of the location.
+     * @returns The response, for chaining.
+     */
+    location(url: string): this {
+        this.#customHeaders['location'] = this.#resolveLocation(url);
+        return this;
+    }
+
+    /**
+     * Respond based on the content types the client accepts.\
+     * The handler for the preferred type is called, types can be mime types or file extensions like `json`.
+     * The `vary: Accept` header is set for caches.
+     *
+     * ```typescript
+     * response.format({
+     *     'text/html': () => response.render('user', { user }),
+     *     'application/json': () => response.json(user),
+     * });
+     * ```
+     *
+     * **Note**: If no type is acceptable, the `default` handler is called if provided, otherwise a `406` is sent.
+     *
+     * @param handlers - The handlers for the types, with an optional `default` handler.
+     * @returns The value returned by the called handler, can be awaited for async handlers.
+     */
+    format(handlers: Record<string, () => unknown>): unknown {
+        appendVary(this.#customHeaders, 'Accept');
+
+        const types = Object.keys(handlers).filter(
+            (type) => type !== 'default',
+        );
+        const resolved = types.map(resolveType);
+        const [preferred] = negotiate(
+            this.#context.req.headers['accept'],
+            resolved,
+            'type',
+        );
+
+        if (preferred !== undefined) {
+            return handlers[types[resolved.indexOf(preferred)]!]!();
+        }
+
+        if (handlers.default) return handlers.default();
+
+        this.text('Not Acceptable', 406);
+        return undefined;
+    }
+
+    /**
+     * Set the `content-disposition` header to `attachment`, so browsers save the response as a file.
+     *
+     * ```typescript
+     * response.attachment('report.pdf').binary(report, 200, 'application/pdf');
+     * ```
+     *
+     * @param filename - The name to save the file as, if any.
+     * @returns The response, for chaining.
+     */
+    attachment(filename?: string): this {
+        this.#customHeaders['content-disposition'] =
+            contentDisposition(filename);
+        return this;
+    }
+
+    /**
+     * Send a file as an attachment, so browsers save it instead of displaying it.\
+     * The file is read like `binary` & supports `range` requests.
+     *
+     * @param filePath - The path of the file, resolved like the path passed to `binary`.
+     * @param filename - The name to save the file as, defaults to the name of the file.
+     * @param statusCode - The HTTP status code.
+     */
+    download(filePath: string, filename?: string, statusCode?: number): void {
+        this.attachment(filename ?? path.basename(filePath));
+        this.binary(filePath, statusCode, 'application/octet-stream');
+    }
+
+    /**
+     * Set a cookie, sent as a `Set-Cookie` header with the response.\
+     * Setting a cookie with the same name again replaces the previous one.
+     *
+     * ```typescript
+     * response.cookie('theme', 'dark', { maxAge: 86_400_000, sameSite: 'lax' });
+     * response.cookie('userId', user.$id, { httpOnly: true, signed: true });
+     * ```
+     *
+     * **Note**: Set cookies before sending the response.
+     *
+     * @param name - The name of the cookie.
+     * @param value - The value of the cookie.
+     * @param options - The attributes of the cookie.
+     * @throws If the name is invalid or if a signed cookie is set without a secret.
+     */
+    cookie(
+        name: string,
+        value: string,
+        options: AppExpressCookieOptions = {},
+    ): void {
+        if (options.signed) {
+            const secret = this.#context.req._cookieSecrets?.[0];
+            if (!secret) {
+                throw new Error(
+                    "A secret is required for signed cookies. Use 'AppExpress#cookieSecret' to set one.",
+                );
+            }
+
+            value = signCookie(value, secret);
+        }
+
+        this.#cookies.set(name, serializeCookie(name, value, options));
+    }
+
+    /**
+     * Clear a cookie on the client by setting it as expired.
+     *
+     * **Note**: The `domain` & `path` must match the ones the cookie was set with.
+     *
+     * @param name - The name of the cookie.
+     * @param options - The attributes the cookie was set with.
+     */
+    clearCookie(name: string, options: AppExpressCookieOptions = {}): void {
+        const { maxAge, signed, ...attributes } = options;
+        this.cookie(name, '', { ...attributes, expires: new Date(0) });
+    }
+
     /**
      * Send an empty response,\
      * typically used when there's no need to send back any data to the source.
      */
     empty(): void {
         this.#wrapReturnForSource(
-            this.#response.text('', 204, this.#customHeaders),
+            this.#response.text(
+                '',
+                this.#statusCode ?? 204,
+                this.#customHeaders,
+            ),
         );
     }
 
@@ -80,20 +244,52 @@ export default class AppExpressResponse {
      * @param data - The JSON data to send.
      * @param statusCode - The HTTP status code.
      */
-    json(data: unknown, statusCode: number = 200): void {
+    json(data: unknown, statusCode?: number): void {
         this.#wrapReturnForSource(
-            this.#response.json(data, statusCode, this.#customHeaders),
+            this.#response.json(
+                data,
+                this.#resolveStatus(statusCode),
+                this.#customHeaders,
+            ),
         );
     }
 
     /**
-     * Redirect to a specified URL.
+     * Redirect to a specified URL.\
+     * Pass `back` to redirect to the `referer` of the request, or `/` if there's none.
+     *
+     * ```typescript
+     * // post-redirect-get.
+     * response.redirect('/dashboard', 303);
+     * ```
+     *
+     * A status set via `status()` is used if it is a redirect status, otherwise a `302` is sent.
      *
      * @param url - The URL to redirect to.
+     * @param statusCode - The redirect status code, `301` by default.
+     * @throws If the given status code is not one of `301`, `302`, `303`, `307` or `308`.
      */
-    redirect(url: string): void {
+    redirect(url: string, statusCode?: number): void {
+        const redirectStatuses = [301, 302, 303, 307, 308];
+
+        if (
+            statusCode !== undefined &&
+            !redirectStatuses.includes(statusCode)
+        ) {
+            throw new Error(
+                `Invalid redirect status code '${statusCode}', use one of 301, 302, 303, 307 or 308.`,
+            );
+        }
+
+        let redirectStatus = statusCode ?? this.#statusCode ?? 301;
+        if (!redirectStatuses.includes(redirectStatus)) redirectStatus = 302;
+
         this.#wrapReturnForSource(
-            this.#response.redirect(url, 301, this.#customHeaders),
+            this.#response.redirect(
+                this.#resolveLocation(url),
+                redirectStatus,
+                this.#customHeaders,
+            ),
         );
     }
 
@@ -106,14 +302,18 @@ export default class AppExpressResponse {
      */
     text(
         content: unknown,
-        statusCode: number = 200,
+        statusCode?: number,
         contentType: string = 'text/plain',
     ): void {
         this.#wrapReturnForSource(
-            this.#response.text(content as string, statusCode, {
-                'content-type': contentType,
-                ...this.#customHeaders,
-            }),
+            this.#response.text(
+                content as string,
+                this.#resolveStatus(statusCode),
+                {
+                    'content-type': contentType,
+                    ...this.#customHeaders,
+                },
+            ),
         );
     }
 
@@ -128,11 +328,11 @@ export default class AppExpressResponse {
      */
     send(
         content: unknown,
-        statusCode: number = 200,
+        statusCode?: number,
         contentType: string = 'text/plain',
     ): void {
         this.#wrapReturnForSource(
-            this.#response.send(content, statusCode, {
+            this.#response.send(content, this.#resolveStatus(statusCode), {
                 'content-type': contentType,
                 ...this.#customHeaders,
             }),
@@ -140,27 +340,45 @@ export default class AppExpressResponse {
     }
 
     /**
-     * Send content from a file as a response back to the source.
+     * Send content from a file as a response back to the source.\
+     * Binary responses support `range` requests, the requested part is sent with a `206`.
      *
-     * @param contentOrPath - The file content or the path.
+     * @param contentOrPath - The file content or the path, a path cannot lead outside the function directory.
+     * A path leading outside gets a `403 Forbidden`, a missing file a `404 Not Found`.
      * @param statusCode - The HTTP status code to send.
      * @param contentType - The content type of the response. If passing file path, content type is auto-decided.
      */
     binary(
         contentOrPath: Buffer | string,
-        statusCode: number = 200,
+        statusCode?: number,
         contentType: string = 'text/plain',
     ): void {
+        statusCode = this.#resolveStatus(statusCode);
+
         try {
             if (typeof contentOrPath === 'string') {
-                // file path > read its content.
+                // file path > check it before describing its content.
+                let usablePath: string;
+                try {
+                    usablePath = this.#usablePath(contentOrPath);
+                } catch (error) {
+                    this.#context.error(`${error}`);
+                    return this.#fileError('Forbidden', 403);
+                }
+
+                if (!existsSync(usablePath)) {
+                    return this.#fileError('Not Found', 404);
+                }
+
                 const detectedContentType = mime.lookup(contentOrPath);
+                this.#customHeaders['accept-ranges'] = 'bytes';
                 this.#customHeaders['content-type'] =
                     detectedContentType || contentType;
 
-                this.#wrapForPromise(this.#readFile(contentOrPath), statusCode);
+                this.#wrapForPromise(this.#readFile(usablePath), statusCode);
             } else {
                 // direct read the content
+                this.#customHeaders['accept-ranges'] = 'bytes';
                 this.#customHeaders['content-type'] = contentType;
                 this.#wrapForPromise(
                     new Promise((resolve) => resolve(contentOrPath)),
@@ -184,8 +402,9 @@ export default class AppExpressResponse {
     render(
         filePath: string,
         options: Record<string, unknown> = {},
-        statusCode: number = 200,
+        statusCode?: number,
     ): void {
+        statusCode = this.#resolveStatus(statusCode);
         const engines = this.#response._engine ?? new Map();
 
         if (!engines.size) throw new Error('No view engine found.');
@@ -236,16 +455,48 @@ export default class AppExpressResponse {
     }
 
     /**
-     * Reads a file asynchronously and returns its contents as a Buffer.
+     * The status code for a response, the one set via `status` is used if none is passed.
      *
-     * @param path - The path to the file relative to a base path.
-     * @returns A promise that resolves with the file contents as a string or null if there was an error.
+     * @param statusCode - The status code passed to a response method.
+     * @returns The status code to send.
      */
-    async #readFile(path: string): Promise<string> {
-        const usablePath = this.#usablePath(path);
+    #resolveStatus(statusCode?: number): number {
+        return statusCode ?? this.#statusCode ?? 200;
+    }
+
+    /**
+     * Send an error for a file that can't be sent, without the headers describing the file.
+     *
+     * @param message - The error message.
+     * @param statusCode - The HTTP status code.
+     */
+    #fileError(message: string, statusCode: number): void {
+        delete this.#customHeaders['content-disposition'];
+        this.text(message, statusCode, 'text/plain');
+    }
+
+    /**
+     * Resolves `back` to the `referer` of the request.
+     *
+     * @param url - The URL or `back`.
+     * @returns The URL to use for the location.
+     */
+    #resolveLocation(url: string): string {
+        if (url !== 'back') return url;
+
+        const headers = this.#context.req.headers;
+        return headers['referer'] || headers['referrer'] || '/';
+    }
 
+    /**
+     * Reads a file asynchronously and returns its contents as a Buffer.
+     *
+     * @param usablePath - The full usable path to the file.
+     * @returns A promise that resolves with the file contents.
+     */
+    async #readFile(usablePath: string): Promise<Buffer> {
         try {
-            return await fs.readFile(usablePath, 'utf8');
+            return await fs.readFile(usablePath);
         } catch (error) {
             this.#context.error(`Failed to read file: ${error}`);
             throw error;
@@ -255,12 +506,25 @@ export default class AppExpressResponse {
     /**
      * Builds and returns a directly usable path to the file.
      *
-     * @param path - The base path of the file.
+     * @param filePath - The base path of the file.
      * @returns The full usable path.
+     * @throws If the path leads outside the function directory, like `../../etc/passwd`.
      */
-    #usablePath(path: string): string {
-        const filePath = this.#buildFilePath(path);
-        return this.#basePath(filePath);
+    #usablePath(filePath: string): string {
+        const usablePath = this.#basePath(this.#buildFilePath(filePath));
+        const relativePath = path.relative(this.#basePath(), usablePath);
+
+        if (
+            relativePath === '..' ||
+            relativePath.startsWith(`..${path.sep}`) ||
+            path.isAbsolute(relativePath)
+        ) {
+            throw new Error(
+                `Path '${filePath}' leads outside the function directory.`,
+            );
+        }
+
+        return usablePath;
     }
 
     /**
@@ -311,7 +575,14 @@ export default class AppExpressResponse {
     #wrapReturnForSource(data: unknown): void {
         this.#checkIfAlreadyPrepared();
 
-        this.#response.dynamic = data as AppwriteResponseObject;
+        const dynamic = data as AppwriteResponseObject;
+
+        // each cookie needs its own header.
+        if (this.#cookies.size) {
+            dynamic.headers['set-cookie'] = [...this.#cookies.values()];
+        }
+
+        this.#response.dynamic = dynamic;
     }
 
     /**
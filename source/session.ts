@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import { serializeCookie, signCookie } from './utils/cookies.js';
+import type {
+    AppExpressCookieOptions,
+    AppExpressSessionData,
+    AppExpressSessionStore,
+} from './types/index.js';
+
+/**
+ * The session options of an application, with the defaults applied.
+ */
+export interface SessionSettings {
+    /** The name of the session cookie */
+    name: string;
+    /** The secrets for signing the cookie, the first one signs */
+    secrets: string[];
+    /** The store for the session data */
+    store: AppExpressSessionStore;
+    /** The attributes of the session cookie */
+    cookie: AppExpressCookieOptions & { maxAge: number };
+}
+
+/**
+ * Stores sessions in memory, they are kept as long as the function container is warm.
+ *
+ * **Note**: Sessions are lost on cold starts & are not shared between containers,
+ * use a persistent store like an Appwrite collection for production.
+ */
+export class MemorySessionStore implements AppExpressSessionStore {
+    readonly #sessions: Map<
+        string,
+        { data: AppExpressSessionData; expires: number }
+    > = new Map();
+
+    /**
+     * The number of sessions in memory, including the expired ones not removed yet.
+     */
+    get size(): number {
+        return this.#sessions.size;
+    }
+
+    /**
+     * Get the data of a session.
+     *
+     * @param id - The session ID.
+     * @returns The data, if the session exists & has not expired.
+     */
+    get(id: string): AppExpressSessionData | undefined {
+        const session = this.#sessions.get(id);
+        if (!session) return undefined;
+
+        if (session.expires <= Date.now()) {
+            this.#sessions.delete(id);
+            return undefined;
+        }
+
+        return structuredClone(session.data);
+    }
+
+    /**
+     * Save the data of a session.\
+     * The expired sessions are removed as well, the ones never read again would be kept otherwise.
+     *
+     * @param id - The session ID.
+     * @param data - The session data.
+     * @param maxAge - The lifetime of the session in milliseconds.
+     */
+    set(id: string, data: AppExpressSessionData, maxAge: number): void {
+        const now = Date.now();
+        for (const [sessionId, session] of this.#sessions) {
+            if (session.expires <= now) this.#sessions.delete(sessionId);
+        }
+
+        this.#sessions.set(id, {
+            data: structuredClone(data),
+            expires: now + maxAge,
+        });
+    }
+
+    /**
+     * Delete a session.
+     *
+     * @param id - The session ID.
+     */
+    destroy(id: string): void {
+        this.#sessions.delete(id);
+    }
+}
+
+/**
+ * Represents the session of a request, saved when the response is sent.
+ */
+export default class AppExpressSession {
+    readonly #settings: SessionSettings;
+    #id: string;
+    #data: AppExpressSessionData;
+    #isNew: boolean;
+    #modified: boolean = false;
+    #destroyed: boolean = false;
+    #previousIds: string[] = [];
+    #committed?: { cookie: string | undefined };
+
+    /**
+     * Initializes a new instance of the `AppExpressSession` class.
+     *
+     * @param settings - The session options set on the application.
+     * @param id - The ID of an existing session, a new session is created without it.
+     * @param data - The data of the existing session.
+     */
+    constructor(
+        settings: SessionSettings,
+        id?: string,
+        data?: AppExpressSessionData,
+    ) {
+        this.#settings = settings;
+        this.#isNew = !id;
+        this.#id = id ?? AppExpressSession.#generateId();
+        this.#data = data ?? {};
+    }
+
+    /**
+     * Get the session ID.
+     *
+     * @returns The ID of the session.
+     */
+    get id(): string {
+        return this.#id;
+    }
+
+    /**
+     * Whether the session was created for this request.
+     *
+     * @returns true if the client did not send a valid session.
+     */
+    get isNew(): boolean {
+        return this.#isNew;
+    }
+
+    /**
+     * Get a value from the session.
+     *
+     * **Note**: Changes to a returned object are not saved, use `set` with the updated object.
+     *
+     * @param key - The key of the value.
+     * @returns The value, if set.
+     */
+    get<T = unknown>(key: string): T | undefined {
+        return this.#data[key] as T | undefined;
+    }
+
+    /**
+     * Set a value in the session.
+     *
+     * @param key - The key of the value.
+     * @param value - The value, it must be serializable by the store.
+     */
+    set(key: string, value: unknown): void {
+        this.#data[key] = value;
+        this.#modified = true;
+        this.#committed = undefined;
+    }
+
+    /**
+     * Delete a value from the session.
+     *
+     * @param key - The key of the value.
+     */
+    delete(key: string): void {
+        if (!(key in this.#data)) return;
+
+        delete this.#data[key];
+        this.#modified = true;
+        this.#committed = undefined;
+    }
+
+    /**
+     * Move the session to a new ID, keeping its data.\
+     * Call this when the privileges of a user change, like on login, to prevent session fixation.
+     */
+    regenerate(): void {
+        if (!this.#isNew) this.#previousIds.push(this.#id);
+
+        this.#id = AppExpressSession.#generateId();
+        this.#isNew = false;
+        this.#modified = true;
+        this.#destroyed = false;
+        this.#committed = undefined;
+    }
+
+    /**
+     * Delete the session from the store & clear its cookie, like on logout.
+     */
+    destroy(): void {
+        this.#data = {};
+        this.#destroyed = true;
+        this.#committed = undefined;
+    }
+
+    /**
+     * Save the changes to the store.\
+     * Committing again without new changes, like for an error response, returns the same cookie
+     * without touching the store.\
+     * **Note**: This API is not for public consumption.
+     *
+     * @returns The `Set-Cookie` header value to send, if the cookie changed.
+     */
+    async commit(): Promise<string | undefined> {
+        if (!this.#committed) {
+            this.#committed = { cookie: await this.#save() };
+        }
+
+        return this.#committed.cookie;
+    }
+
+    /**
+     * Write the changes to the store.
+     *
+     * @returns The `Set-Cookie` header value to send, if the cookie changed.
+     */
+    async #save(): Promise<string | undefined> {
+        const { name, secrets, store, cookie } = this.#settings;
+
+        const previousIds = this.#previousIds;
+        this.#previousIds = [];
+        for (const previousId of previousIds) {
+            await store.destroy(previousId);
+        }
+
+        if (this.#destroyed) {
+            await store.destroy(this.#id);
+
+            // nothing to clear if the client never had the cookie.
+            if (this.#isNew && !previousIds.length) return undefined;
+
+            const { maxAge, signed, ...attributes } = cookie;
+            return serializeCookie(name, '', {
+                ...attributes,
+                expires: new Date(0),
+            });
+        }
+
+        if (!this.#modified) return undefined;
+
+        await store.set(this.#id, this.#data, cookie.maxAge);
+        return serializeCookie(name, signCookie(this.#id, secrets[0]!), cookie);
+    }
+
+    /**
+     * Generate a random session ID.
+     */
+    static #generateId(): string {
+        return crypto.randomBytes(24).toString('base64url');
+    }
+}
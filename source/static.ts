@@ -0,0 +1,358 @@
+import fs from 'fs';
+import path from 'path';
+import LRUCache from './utils/lru.js';
+import type {
+    AppExpressDirectoryEntry,
+    AppExpressStaticOptions,
+} from './types/index.js';
+
+/**
+ * The static options of a directory, with the defaults applied.
+ */
+export type StaticSettings = Required<AppExpressStaticOptions>;
+
+/**
+ * The options used if a directory does not set its own.
+ */
+export const defaultStaticSettings: StaticSettings = {
+    exclude: [],
+    maxAge: 0,
+    immutable: [],
+    cacheSize: 10 * 1024 * 1024,
+    precompressed: true,
+    prefix: '',
+    fallback: '',
+    fallbackExclude: [],
+    autoindex: false,
+};
+
+/**
+ * The extensions of the precompressed sidecar files, by their encoding.
+ */
+const sidecarExtensions: Record<string, string> = { br: 'br', gzip: 'gz' };
+
+/**
+ * A file kept in memory, along with its compressed variants.
+ */
+interface CachedFile {
+    /** The modification time of the file, a change invalidates the entry */
+    mtime: number;
+    /** The contents of the file */
+    content: Buffer;
+    /** The compressed contents, by their encoding */
+    variants: Map<string, Buffer>;
+}
+
+/**
+ * Serves the files of a public directory, keeping the recently used ones in memory.
+ */
+export default class StaticDirectory {
+    readonly #root: string;
+    readonly #files: Record<string, string>;
+    readonly #filePaths: Set<string>;
+    readonly #settings: StaticSettings;
+    readonly #prefix: string;
+    readonly #cache: LRUCache<string, CachedFile>;
+
+    /**
+     * Initializes a new instance of the `StaticDirectory` class.
+     *
+     * @param root - The path of the directory.
+     * @param files - The file paths, keyed by their request paths.
+     * @param settings - The static options of the directory.
+     */
+    constructor(
+        root: string,
+        files: Record<string, string>,
+        settings: StaticSettings,
+    ) {
+        this.#root = root;
+        this.#files = files;
+        this.#filePaths = new Set(Object.values(files));
+        this.#settings = settings;
+        this.#prefix = StaticDirectory.#trimPath(settings.prefix);
+        this.#cache = new LRUCache(settings.cacheSize, (file) =>
+            [...file.variants.values()].reduce(
+                (size, variant) => size + variant.length,
+                file.content.length,
+            ),
+        );
+    }
+
+    /**
+     * Find the file for a request path.
+     *
+     * @param requestPath - The path of the request.
+     * @param cleanUrlExtensions - The extensions to try if the path has no exact match.
+     * @param indexAsDefault - Whether to look for an `index.html` in the requested directory.
+     * @returns The path of the file, if found.
+     */
+    resolve(
+        requestPath: string,
+        cleanUrlExtensions: string[],
+        indexAsDefault: boolean,
+    ): string | undefined {
+        const filePath = this.#relativePath(requestPath);
+        if (filePath === undefined) return undefined;
+
+        let file: string | undefined = this.#files[filePath];
+
+        // If `clean URLs` and no match found, check with `ext`.
+        if (!file) {
+            file = cleanUrlExtensions
+                .map((ext) => this.#files[`${filePath}.${ext}`])
+                .find((found) => found !== undefined);
+        }
+
+        // If index fallback is enabled & no file found,
+        // look for an `index.html` in the requested directory.
+        if (!file && indexAsDefault) {
+            file = this.#files[path.join(filePath, 'index.html')];
+        }
+
+        return file;
+    }
+
+    /**
+     * Find the fallback file for a request path without a file or a route.\
+     * Paths with a file extension & the excluded prefixes, like APIs, get no fallback.
+     *
+     * @param requestPath - The path of the request.
+     * @returns The path of the fallback file, if the directory has one for the path.
+     */
+    fallback(requestPath: string): string | undefined {
+        const { fallback, fallbackExclude } = this.#settings;
+        if (!fallback) return undefined;
+
+        const filePath = this.#relativePath(requestPath);
+        if (filePath === undefined || path.extname(filePath)) return undefined;
+
+        const excluded = fallbackExclude.some((prefix) =>
+            StaticDirectory.#isUnder(requestPath, prefix),
+        );
+        if (excluded) return undefined;
+
+        return this.#files[StaticDirectory.#trimPath(fallback)];
+    }
+
+    /**
+     * Build the `cache-control` header for a file.
+     *
+     * @param file - The path of the file.
+     * @returns The header value, if the directory sets a `maxAge` or the file is immutable.
+     */
+    cacheControl(file: string): string | undefined {
+        const name = path.basename(file);
+        const immutable = this.#settings.immutable.some((pattern) =>
+            typeof pattern === 'string' ? name === pattern : pattern.test(name),
+        );
+
+        if (immutable) return 'public, max-age=31536000, immutable';
+
+        const { maxAge } = this.#settings;
+        if (maxAge > 0) return `public, max-age=${Math.floor(maxAge / 1000)}`;
+
+        return undefined;
+    }
+
+    /**
+     * Read a file, from memory if it has not changed since it was cached.
+     *
+     * @param file - The path of the file.
+     * @returns The contents & the modification time of the file.
+     */
+    read(file: string): { content: Buffer; mtime: Date } {
+        const { mtime } = fs.statSync(file);
+
+        const cached = this.#cache.get(file);
+        if (cached && cached.mtime === mtime.getTime()) {
+            return { content: cached.content, mtime };
+        }
+
+        const content = fs.readFileSync(file);
+        this.#cache.set(file, {
+            mtime: mtime.getTime(),
+            content,
+            variants: new Map(),
+        });
+
+        return { content, mtime };
+    }
+
+    /**
+     * List the encodings a file is available in as precompressed sidecar files,
+     * like `app.js.br` & `app.js.gz` for `app.js`.
+     *
+     * @param file - The path of the file.
+     * @returns The encodings of the sidecar files, none if disabled for the directory.
+     */
+    sidecars(file: string): string[] {
+        if (!this.#settings.precompressed) return [];
+
+        return Object.keys(sidecarExtensions).filter((encoding) =>
+            this.#filePaths.has(`${file}.${sidecarExtensions[encoding]}`),
+        );
+    }
+
+    /**
+     * List the files & the subdirectories of a directory, if `autoindex` is enabled.\
+     * Only the files served by the directory are listed, the excluded ones are left out.
+     *
+     * @param requestPath - The path of the request.
+     * @returns The entries, the subdirectories first, `undefined` if the path is not a directory.
+     */
+    listing(requestPath: string): AppExpressDirectoryEntry[] | undefined {
+        if (!this.#settings.autoindex) return undefined;
+
+        const filePath = this.#relativePath(requestPath);
+        if (filePath === undefined) return undefined;
+
+        const directory = filePath.endsWith('/') ? filePath : `${filePath}/`;
+        const names = new Map<string, AppExpressDirectoryEntry['type']>();
+
+        for (const key of Object.keys(this.#files)) {
+            if (!key.startsWith(directory)) continue;
+
+            const [name, ...rest] = key.slice(directory.length).split('/');
+            names.set(name!, rest.length ? 'directory' : 'file');
+        }
+
+        if (!names.size) return undefined;
+
+        return [...names]
+            .map(([name, type]) => {
+                const stats = fs.statSync(
+                    path.join(this.#root, directory, name),
+                );
+
+                return {
+                    name,
+                    type,
+                    size: type === 'file' ? stats.size : 0,
+                    modified: stats.mtime.toISOString(),
+                };
+            })
+            .sort(
+                (a, b) =>
+                    a.type.localeCompare(b.type) ||
+                    a.name.localeCompare(b.name),
+            );
+    }
+
+    /**
+     * Get the path of a request relative to the prefix of the directory.
+     *
+     * @param requestPath - The path of the request.
+     * @returns The path to look the files up with, `undefined` if the request is not under the prefix.
+     */
+    #relativePath(requestPath: string): string | undefined {
+        if (!this.#prefix) return requestPath;
+        if (!StaticDirectory.#isUnder(requestPath, this.#prefix)) {
+            return undefined;
+        }
+
+        return requestPath.slice(this.#prefix.length) || '/';
+    }
+
+    /**
+     * Get the compressed contents of a file.\
+     * A sidecar file is preferred, otherwise the contents are compressed once & kept with the cached file.
+     *
+     * @param file - The path of the file.
+     * @param content - The contents of the file.
+     * @param encoding - The encoding to compress with.
+     * @param compress - Compresses the contents with the encoding.
+     * @returns The compressed contents.
+     */
+    async encoded(
+        file: string,
+        content: Buffer,
+        encoding: string,
+        compress: (content: Buffer) => Promise<Buffer>,
+    ): Promise<Buffer> {
+        if (this.sidecars(file).includes(encoding)) {
+            return this.read(`${file}.${sidecarExtensions[encoding]}`).content;
+        }
+
+        const cached = this.#cache.get(file);
+        const variant = cached?.variants.get(encoding);
+        if (variant) return variant;
+
+        const compressed = await compress(content);
+        if (cached && cached.content === content) {
+            cached.variants.set(encoding, compressed);
+
+            // set again to account for the size of the variant.
+            this.#cache.set(file, cached);
+        }
+
+        return compressed;
+    }
+
+    /**
+     * Check whether a request path is the prefix itself or is under it.
+     */
+    static #isUnder(requestPath: string, prefix: string): boolean {
+        const trimmed = StaticDirectory.#trimPath(prefix);
+        return (
+            !trimmed ||
+            requestPath === trimmed ||
+            requestPath.startsWith(`${trimmed}/`)
+        );
+    }
+
+    /**
+     * Add a leading slash to a path & remove the trailing ones, `/` becomes an empty string.
+     */
+    static #trimPath(value: string): string {
+        const trimmed = value.replace(/\/+$/, '');
+        return !trimmed || trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+    }
+}
+
+/**
+ * Render a directory listing as an HTML page.
+ *
+ * @param requestPath - The path of the listed directory.
+ * @param entries - The entries of the directory.
+ * @param baseUrl - The path the application is mounted on, prefixed to the links.
+ * @returns The HTML page, linking to the entries.
+ */
+export function renderListing(
+    requestPath: string,
+    entries: AppExpressDirectoryEntry[],
+    baseUrl: string = '',
+): string {
+    const base = requestPath.replace(/\/+$/, '');
+    const title = escapeHtml(`Index of ${baseUrl + base || '/'}`);
+
+    const rows = entries.map(({ name, type, size, modified }) => {
+        const href = `${baseUrl}${base}/${encodeURIComponent(name)}${type === 'directory' ? '/' : ''}`;
+        const label = `${escapeHtml(name)}${type === 'directory' ? '/' : ''}`;
+
+        return `<tr><td><a href="${escapeHtml(href)}">${label}</a></td><td>${type === 'file' ? size : '-'}</td><td>${modified}</td></tr>`;
+    });
+
+    if (base) {
+        const parent = baseUrl + base.slice(0, base.lastIndexOf('/') + 1);
+        rows.unshift(
+            `<tr><td><a href="${escapeHtml(parent)}">../</a></td><td>-</td><td></td></tr>`,
+        );
+    }
+
+    return [
+        '<!DOCTYPE html>',
+        `<html><head><meta charset="utf-8"><title>${title}</title></head>`,
+        `<body><h1>${title}</h1>`,
+        '<table><thead><tr><th>Name</th><th>Size</th><th>Modified</th></tr></thead>',
+        `<tbody>${rows.join('')}</tbody></table>`,
+        '</body></html>',
+    ].join('\n');
+}
+
+/**
+ * Escape the HTML special characters of a value.
+ */
+function escapeHtml(value: string): string {
+    return value.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
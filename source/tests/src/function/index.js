@@ -30,6 +30,7 @@ express.views('views');
 express.serveIndex(true);
 express.cleanUrls(['html', 'txt']);
 express.static('public', [/^\..*env.*/i]);
+express.compression(true, { threshold: 0 });
 
 express.engine('ejs', ejs); // ejs
 express.engine('pug', pug); // pub
@@ -120,6 +121,25 @@ express.middleware({
     },
 });
 
+// wrapping the rest of the chain
+express.middleware({
+    around: async (request, response, next) => {
+        if (!request.path.startsWith('/around')) return next();
+        if (request.path === '/around/short') return response.text('short');
+
+        let result;
+        try {
+            result = await next();
+        } catch (error) {
+            // retry once.
+            result = await next();
+        }
+
+        result.statusCode = 202;
+        result.headers['x-around'] = result.body;
+    },
+});
+
 // directs
 express.get('/methods', (request, response) => response.text(request.method));
 express.post('/methods', (request, response) => response.text(request.method));
@@ -224,5 +244,364 @@ express.post('/binary', (request, response) => {
     }
 });
 
+let aroundAttempts = 0;
+express.get('/around', (_, response) => response.text('around'));
+express.get('/around/retry', (_, response) => {
+    response.setHeaders({ attempt: ++aroundAttempts });
+    if (aroundAttempts === 1) throw Error('first attempt fails');
+    response.text('retried');
+});
+
+// route middlewares
+const requireToken = (request, response) => {
+    if (!request.headers['x-token']) response.text('Unauthorized', 401);
+};
+
+const tagResponse = (_, response) => {
+    response.setHeaders({ 'x-route-middleware': 'tagged' });
+};
+
+express.get('/guarded', requireToken, tagResponse, (_, response) =>
+    response.text('guarded'),
+);
+
+const guardedRouter = new AppExpress.Router();
+guardedRouter.get('/:id', requireToken, (request, response) =>
+    response.text(request.params.id),
+);
+
+express.use('/guarded/router', guardedRouter);
+
+// router middlewares & nested routers
+const adminRouter = new AppExpress.Router();
+const reportsRouter = new AppExpress.Router();
+
+adminRouter.middleware(requireToken);
+adminRouter.get('/', (_, response) => response.text('admin'));
+
+reportsRouter.middleware({
+    outgoing: (_, interceptor) => {
+        interceptor.headers['x-reports'] = 'nested';
+    },
+});
+reportsRouter.get('/:report', (request, response) =>
+    response.text(request.params.report),
+);
+
+adminRouter.use('/reports', reportsRouter);
+express.use('/admin', adminRouter);
+
+// sub-application
+class InvoiceRepository {
+    get = (id) => `invoice-${id}`;
+}
+
+const billing = new AppExpress();
+billing.inject(new InvoiceRepository());
+billing.middleware({
+    outgoing: (request, interceptor) => {
+        interceptor.headers['x-billing'] = `${request.baseUrl}${request.path}`;
+    },
+});
+
+billing.onError((error, request, response) => {
+    response.text(`billing: ${error.message}`, 500);
+});
+
+billing.get('/invoices/:id', (request, response) => {
+    const repository = request.retrieve(InvoiceRepository);
+    response.text(repository.get(request.params.id));
+});
+
+billing.get('/lorem', (request, response) => {
+    const repository = request.retrieve(LoremIpsumRepository, 'one');
+    response.text(repository.get());
+});
+
+billing.get('/render', (_, response) => {
+    response.render('sample.ejs', { title: 'AppExpress' });
+});
+
+billing.get('/error', () => {
+    throw Error('failed');
+});
+
+express.use('/billing', billing);
+express.get('/billing/parent', (request, response) =>
+    response.text(`${request.baseUrl}${request.path}`),
+);
+
+// precedence is independent of the registration order
+express.get('/precedence/*', (_, response) => response.text('wildcard'));
+express.get('/precedence/:id', (request, response) =>
+    response.text(`param-${request.params.id}`),
+);
+express.get('/precedence/static', (_, response) => response.text('static'));
+express.get('/precedence/:id/profile', (request, response) =>
+    response.text(`param-${request.params.id}-profile`),
+);
+express.get('/precedence/me/:tab', (request, response) =>
+    response.text(`static-${request.params.tab}`),
+);
+
+// richer route patterns
+const patternsRouter = new AppExpress.Router();
+patternsRouter.get('/posts/:id?', (request, response) =>
+    response.text(`post-${request.params.id ?? 'all'}`),
+);
+patternsRouter.get('/users/:id(\\d+)', (request, response) =>
+    response.text(`user-id-${request.params.id}`),
+);
+patternsRouter.get('/users/:name', (request, response) =>
+    response.text(`user-name-${request.params.name}`),
+);
+patternsRouter.get('/files/*path', (request, response) =>
+    response.text(request.params.path),
+);
+patternsRouter.get('/downloads/:file.:ext', (request, response) =>
+    response.json(request.params),
+);
+patternsRouter.all('/all/:id', (request, response) =>
+    response.text(request.params.id),
+);
+
+express.use('/patterns', patternsRouter);
+
+// status & redirects
+express.get('/responses/created', (request, response) =>
+    response.status(201).json({ created: true }),
+);
+express.get('/responses/location', (request, response) =>
+    response.location('/docs').status(202).empty(),
+);
+express.post('/responses/login', (request, response) =>
+    response.redirect('/dashboard', 303),
+);
+express.get('/responses/back', (request, response) =>
+    response.redirect('back', 302),
+);
+express.get('/responses/moved', (request, response) =>
+    response.status(308).redirect('/new'),
+);
+express.get('/responses/invalid', (request, response) =>
+    response.redirect('/new', 200),
+);
+express.get('/responses/chained', (request, response) =>
+    response.status(500).redirect('/new'),
+);
+
+// content negotiation
+express.get('/negotiation/user', (request, response) =>
+    response.format({
+        html: () => response.text('<h1>itznotabug</h1>', 200, 'text/html'),
+        'application/json': () => response.json({ name: 'itznotabug' }),
+    }),
+);
+express.get('/negotiation/strict', (request, response) =>
+    response.format({
+        'application/json': () => response.json({ name: 'itznotabug' }),
+    }),
+);
+express.get('/negotiation/fallback', (request, response) =>
+    response.format({
+        'application/json': () => response.json({ name: 'itznotabug' }),
+        default: () => response.text('itznotabug'),
+    }),
+);
+express.get('/negotiation/accepts', (request, response) =>
+    response.json({
+        type: request.accepts(['html', 'json']),
+        types: request.accepts(),
+        language: request.acceptsLanguages(['en', 'fr-FR']),
+        encoding: request.acceptsEncodings(['br', 'gzip']),
+        encodings: request.acceptsEncodings(),
+    }),
+);
+
+// downloads & ranges, the paths are relative to the views.
+express.get('/files/rocket', (request, response) =>
+    response.binary('../public/static/images/rocket.png'),
+);
+express.get('/files/download', (request, response) =>
+    response.download(
+        '../public/static/images/rocket.png',
+        'rocket launch.png',
+    ),
+);
+express.get('/files/download/default', (request, response) =>
+    response.download('../public/robots.txt'),
+);
+express.get('/files/download/escape', (request, response) =>
+    response.download('../../../../package.json'),
+);
+express.get('/files/download/missing', (request, response) =>
+    response.download('../public/missing.pdf'),
+);
+express.get('/files/attachment', (request, response) =>
+    response.attachment('résumé "v2".csv').text('name,role', 200, 'text/csv'),
+);
+
+// form bodies
+express.post('/forms/login', (request, response) =>
+    response.json(request.form),
+);
+express.post('/forms/upload', (request, response) =>
+    response.json({
+        fields: request.fields,
+        files: request.files.map(({ buffer, ...file }) => ({
+            ...file,
+            content: buffer.toString(),
+        })),
+    }),
+);
+
+// schema validation
+express.get(
+    '/validation/users',
+    AppExpress.validate({
+        query: {
+            type: 'object',
+            properties: {
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 100,
+                    default: 20,
+                },
+                active: { type: 'boolean' },
+                tags: { type: 'array', items: { type: 'string' } },
+            },
+            additionalProperties: false,
+        },
+    }),
+    (request, response) => response.json(request.validated()),
+);
+
+const validationRouter = new AppExpress.Router();
+validationRouter.post(
+    '/orders/:id',
+    AppExpress.validate({
+        params: {
+            type: 'object',
+            properties: { id: { type: 'integer' } },
+        },
+        body: {
+            type: 'object',
+            properties: {
+                email: { type: 'string', format: 'email' },
+                items: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            sku: { type: 'string' },
+                            quantity: { type: 'integer', minimum: 1 },
+                        },
+                        required: ['sku', 'quantity'],
+                    },
+                },
+            },
+            required: ['email', 'items'],
+        },
+    }),
+    (request, response) => response.json(request.validated()),
+);
+
+express.use('/validation', validationRouter);
+
+// event triggers
+express.event(
+    'databases.*.collections.orders.documents.*.create',
+    (request, response) =>
+        response.json({ handler: 'orders', params: request.params }),
+);
+express.event('databases.*.collections.*.documents.*.*', (request, response) =>
+    response.json({ handler: 'documents', params: request.params }),
+);
+express.event(
+    'buckets.*.files.:fileId.*',
+    (request, response) => {
+        response.setHeaders({ 'x-event-middleware': 'true' });
+    },
+    (request, response) =>
+        response.json({ handler: 'files', params: request.params }),
+);
+express.event('teams.*.memberships.*.*action', (request, response) =>
+    response.json(request.eventResource()),
+);
+express.event('functions.*.executions.*.*', (request, response) =>
+    response.json({
+        status: request.eventPayload().status,
+        resource: request.eventResource(),
+    }),
+);
+express.event('*', (request, response) =>
+    response.text(`unhandled event ${request.event}`),
+);
+
+// scheduled jobs
+express.schedule(() => ({ cleaned: 3 }));
+express.schedule(
+    'reports/daily',
+    (request, response) => {
+        if (request.headers['x-reports-disabled']) {
+            response.json({ skipped: true });
+        }
+    },
+    () => ({ sent: 12 }),
+);
+express.schedule('errors/job', () => {
+    throw new Error('Database unavailable');
+});
+
+// error handlers
+express.onError((error, request) => {
+    // hand over to the next handler.
+    if (request.path === '/errors/rethrow') throw Error('rethrown');
+});
+
+express.onError((error, request, response) => {
+    // others should get the default error result.
+    if (!request.path.startsWith('/errors')) return;
+
+    response.json({ message: error.message, path: request.path }, 500);
+});
+
+express.middleware({
+    outgoing: (request) => {
+        if (request.path === '/errors/outgoing') {
+            throw Error('outgoing failed');
+        }
+    },
+});
+
+express.get('/errors/route', () => {
+    throw Error('route failed');
+});
+
+express.get('/errors/async', async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    throw Error('async route failed');
+});
+
+express.get('/errors/rethrow', () => {
+    throw Error('route failed');
+});
+
+express.get('/errors/outgoing', (_, response) => response.text('ok'));
+
+// custom not found response
+express.notFound((request, response) => {
+    if (request.path.startsWith('/missing')) {
+        response.json({ missing: request.path }, 404);
+    } else {
+        response.text(
+            `Cannot ${request.method.toUpperCase()} '${request.path}'.`,
+            404,
+        );
+    }
+});
+
 // Appwrite Function Entrypoint!
 export default async (context) => await express.attach(context);
@@ -5,6 +5,7 @@ import assert from 'assert';
 import { describe, it } from 'node:test';
 
 import index from './src/function/index.js';
+import AppExpress from '../dist/appexpress.js';
 import { createContext } from './utils/context.js';
 
 const publicDir = './src/function/public';
@@ -76,14 +77,108 @@ describe('Responses from router-handled endpoints', () => {
 });
 
 describe('Handling invalid method requests to specific endpoints', () => {
-    ['post', 'put', 'patch', 'delete', 'options'].forEach((method) => {
+    ['post', 'put', 'patch', 'delete'].forEach((method) => {
         const expected = `Cannot ${method.toUpperCase()} '/get'.`;
 
-        it(`should return an error when using ${method.toUpperCase()} on '/get' endpoint`, async () => {
+        it(`should return a 405 when using ${method.toUpperCase()} on '/get' endpoint`, async () => {
             const context = createContext({ path: '/get', method: method });
-            const { body } = await index(context);
+            const { body, statusCode, headers } = await index(context);
             assert.strictEqual(body, expected);
+            assert.strictEqual(statusCode, 405);
+            assert.strictEqual(headers.allow, 'GET, HEAD, OPTIONS');
+        });
+    });
+
+    it('should list the allowed methods for OPTIONS on router paths', async () => {
+        const context = createContext({
+            path: '/router/cad7eee9bb524d6dac9b73b6e9f2c8c6',
+            method: 'options',
+        });
+
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(body, '');
+        assert.strictEqual(statusCode, 204);
+        assert.strictEqual(headers.allow, 'POST, OPTIONS');
+    });
+});
+
+describe('Automatic HEAD responses', () => {
+    it('should return the headers of the GET route without a body', async () => {
+        const context = createContext({ path: '/methods', method: 'head' });
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(body, '');
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(headers['content-type'], 'text/plain');
+    });
+
+    it('should return the headers of a static file without a body', async () => {
+        const context = createContext({ path: '/ads.txt', method: 'head' });
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(body, '');
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(headers['content-type'], 'text/plain');
+    });
+
+    it('should return the compression headers without compressing', async () => {
+        let compressions = 0;
+        const app = new AppExpress();
+        app.compression({
+            encoders: [
+                {
+                    encoding: 'gzip',
+                    compress: (buffer) => {
+                        compressions++;
+                        return zlib.gzipSync(buffer);
+                    },
+                },
+            ],
+        });
+        app.get('/text', (request, response) =>
+            response.text('itznotabug '.repeat(200)),
+        );
+
+        const context = createContext({
+            path: '/text',
+            method: 'head',
+            headers: { 'accept-encoding': 'gzip' },
         });
+
+        const { body, headers } = await app.attach(context);
+        assert.strictEqual(body, '');
+        assert.strictEqual(headers['content-encoding'], 'gzip');
+        assert.strictEqual(headers['vary'], 'Accept-Encoding');
+        assert.strictEqual(compressions, 0);
+    });
+
+    it('should return the etag of the compressed static file', async () => {
+        const app = new AppExpress();
+        app.etag(true);
+        app.static('public');
+
+        const headers = { 'accept-encoding': 'br' };
+        const head = await app.attach(
+            createContext({ path: '/favicon.ico', method: 'head', headers }),
+        );
+        const get = await app.attach(
+            createContext({ path: '/favicon.ico', headers }),
+        );
+        assert.strictEqual(head.headers['content-encoding'], 'br');
+        assert.strictEqual(head.headers['etag'], get.headers['etag']);
+
+        const conditional = await app.attach(
+            createContext({
+                path: '/favicon.ico',
+                headers: { ...headers, 'if-none-match': head.headers['etag'] },
+            }),
+        );
+        assert.strictEqual(conditional.statusCode, 304);
+    });
+
+    it('should return a 404 for non-existing endpoints', async () => {
+        const context = createContext({ path: '/void', method: 'head' });
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(body, '');
+        assert.strictEqual(statusCode, 404);
     });
 });
 
@@ -93,10 +188,20 @@ describe('Response for non-existing endpoints', () => {
 
         it(`should return an error for ${method.toUpperCase()} request to '/void'`, async () => {
             const context = createContext({ path: '/void', method: method });
-            const { body } = await index(context);
+            const { body, statusCode } = await index(context);
             assert.strictEqual(body, expected);
+            assert.strictEqual(statusCode, 404);
         });
     });
+
+    it('should return a custom response from the not found handler', async () => {
+        const context = createContext({ path: '/missing/page' });
+        const { body, statusCode, headers } = await index(context);
+
+        assert.strictEqual(statusCode, 404);
+        assert.deepStrictEqual(body, { missing: '/missing/page' });
+        assert.strictEqual(headers['X-Powered-By'], 'AppExpress');
+    });
 });
 
 describe('Internal server error handling', () => {
@@ -181,7 +286,7 @@ describe('Custom headers validation', () => {
     });
 
     it('should only return the default header', async () => {
-        const expected = { length: 3, type: 'text/plain' };
+        const expected = { length: 4, type: 'text/plain' };
         const context = createContext({
             path: `/headers/clear`,
         });
@@ -274,8 +379,9 @@ describe('Public static resource handling', () => {
 
     it('should return Cannot GET /.env', async () => {
         const context = createContext({ path: '/.env' });
-        const { body } = await index(context);
+        const { body, statusCode } = await index(context);
         assert.strictEqual(body, `Cannot GET '/.env'.`);
+        assert.strictEqual(statusCode, 404);
     });
 
     it('should return contents from a nested directory', async () => {
@@ -335,6 +441,299 @@ describe('Public static resource handling', () => {
     });
 });
 
+describe('Static options validation', () => {
+    const app = new AppExpress();
+    app.compression(false);
+    app.static('public', {
+        exclude: [/^\..*env.*/i],
+        maxAge: 3_600_000,
+        immutable: [/^rocket\.png$/],
+    });
+
+    it('should add cache-control with the max-age', async () => {
+        const context = createContext({ path: '/robots.txt' });
+
+        const { headers } = await app.attach(context);
+        assert.strictEqual(headers['cache-control'], 'public, max-age=3600');
+    });
+
+    it('should add cache-control for immutable files', async () => {
+        const context = createContext({ path: '/static/images/rocket.png' });
+
+        const { headers } = await app.attach(context);
+        assert.strictEqual(
+            headers['cache-control'],
+            'public, max-age=31536000, immutable',
+        );
+    });
+
+    it('should not add cache-control by default', async () => {
+        const context = createContext({ path: '/robots.txt' });
+
+        const { headers } = await index(context);
+        assert.strictEqual(headers['cache-control'], undefined);
+    });
+
+    it('should serve a precompressed sidecar file', async () => {
+        const sidecar = fs.readFileSync(`${publicDir}/static/js/window.js.gz`);
+        const context = createContext({
+            path: '/static/js/window.js',
+            headers: { 'accept-encoding': 'br;q=0.5, gzip' },
+        });
+
+        const { body, headers } = await app.attach(context);
+        assert.deepStrictEqual(body, sidecar);
+        assert.strictEqual(headers['content-encoding'], 'gzip');
+        assert.strictEqual(headers['content-type'], 'text/javascript');
+        assert.strictEqual(headers['vary'], 'Accept-Encoding');
+    });
+
+    it('should prefer brotli if the client accepts both equally', async () => {
+        const js = fs.readFileSync(`${publicDir}/static/js/window.js`);
+        const context = createContext({
+            path: '/static/js/window.js',
+            headers: { 'accept-encoding': 'gzip, deflate, br' },
+        });
+
+        const { body, headers } = await index(context);
+        assert.strictEqual(headers['content-encoding'], 'br');
+        assert.deepStrictEqual(zlib.brotliDecompressSync(body), js);
+    });
+
+    it('should serve the file as is if the encoding is not accepted', async () => {
+        const js = fs.readFileSync(`${publicDir}/static/js/window.js`, 'utf8');
+        const context = createContext({
+            path: '/static/js/window.js',
+            headers: { 'accept-encoding': 'br' },
+        });
+
+        const { body, headers } = await app.attach(context);
+        assert.strictEqual(body, js);
+        assert.strictEqual(headers['content-encoding'], undefined);
+    });
+
+    it('should read a file again after it changes', async () => {
+        const directory = `${publicDir}/../cached`;
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(`${directory}/notes.txt`, 'first');
+
+        try {
+            const cachedApp = new AppExpress();
+            cachedApp.static('cached', { cacheSize: 1024 });
+
+            const first = await cachedApp.attach(
+                createContext({ path: '/notes.txt' }),
+            );
+            assert.strictEqual(first.body, 'first');
+
+            fs.writeFileSync(`${directory}/notes.txt`, 'second');
+            const future = new Date(Date.now() + 60_000);
+            fs.utimesSync(`${directory}/notes.txt`, future, future);
+
+            const second = await cachedApp.attach(
+                createContext({ path: '/notes.txt' }),
+            );
+            assert.strictEqual(second.body, 'second');
+            assert.strictEqual(
+                second.headers['last-modified'],
+                future.toUTCString(),
+            );
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Static prefixes, roots and fallbacks validation', () => {
+    const contactDir = `${publicDir}/contact`;
+    const contactHtml = fs.readFileSync(`${contactDir}/index.html`, 'utf8');
+    const enterpriseHtml = fs.readFileSync(
+        `${contactDir}/enterprise/index.html`,
+        'utf8',
+    );
+
+    const app = new AppExpress();
+    app.baseDirectory('./src/function/public');
+    app.static('static', { prefix: '/assets/' });
+    app.static('contact');
+    app.static('contact/enterprise');
+    app.static('contact', {
+        prefix: '/app',
+        fallback: 'index.html',
+        fallbackExclude: ['/app/api'],
+    });
+
+    app.get('/robots', (request, response) => response.binary('robots.txt'));
+    app.get('/app/known', (request, response) => response.text('known'));
+
+    it('should serve the files under the prefix', async () => {
+        const css = fs.readFileSync(
+            `${publicDir}/static/css/styles.css`,
+            'utf8',
+        );
+
+        const { body, statusCode } = await app.attach(
+            createContext({ path: '/assets/css/styles.css' }),
+        );
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(body, css);
+
+        const { statusCode: unprefixed } = await app.attach(
+            createContext({ path: '/css/styles.css' }),
+        );
+        assert.strictEqual(unprefixed, 404);
+    });
+
+    it('should serve a file from the first directory that has it', async () => {
+        const { body } = await app.attach(
+            createContext({ path: '/index.html' }),
+        );
+        assert.strictEqual(body, contactHtml);
+
+        const { body: nested } = await app.attach(
+            createContext({ path: '/enterprise/index.html' }),
+        );
+        assert.strictEqual(nested, enterpriseHtml);
+    });
+
+    it('should read file responses from the base directory', async () => {
+        const robotsTxt = fs.readFileSync(`${publicDir}/robots.txt`);
+
+        const { body } = await app.attach(createContext({ path: '/robots' }));
+        assert.deepStrictEqual(body, robotsTxt);
+    });
+
+    it('should serve the fallback for unknown paths accepting html', async () => {
+        const { body, statusCode, headers } = await app.attach(
+            createContext({
+                path: '/app/dashboard/settings',
+                headers: { accept: 'text/html,application/xhtml+xml' },
+            }),
+        );
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(body, contactHtml);
+        assert.strictEqual(headers['content-type'], 'text/html');
+    });
+
+    it('should prefer a route over the fallback', async () => {
+        const { body } = await app.attach(
+            createContext({
+                path: '/app/known',
+                headers: { accept: 'text/html' },
+            }),
+        );
+        assert.strictEqual(body, 'known');
+    });
+
+    [
+        { name: 'an api prefix', path: '/app/api/users', accept: 'text/html' },
+        { name: 'a missing file', path: '/app/main.js', accept: 'text/html' },
+        {
+            name: 'a json request',
+            path: '/app/users',
+            accept: 'application/json',
+        },
+        { name: 'another prefix', path: '/dashboard', accept: 'text/html' },
+        {
+            name: 'a post request',
+            path: '/app/users',
+            accept: 'text/html',
+            method: 'POST',
+        },
+    ].forEach(({ name, path, accept, method = 'GET' }) => {
+        it(`should not serve the fallback for ${name}`, async () => {
+            const { statusCode } = await app.attach(
+                createContext({ method, path, headers: { accept } }),
+            );
+            assert.strictEqual(statusCode, 404);
+        });
+    });
+});
+
+describe('Directory listings validation', () => {
+    const app = new AppExpress();
+    app.static('public', {
+        exclude: [/^\..*env.*/i, 'binary'],
+        autoindex: true,
+    });
+    app.get('/contact', (request, response) => response.text('contact'));
+
+    it('should list a directory as html by default', async () => {
+        const context = createContext({ path: '/static' });
+
+        const { body, statusCode, headers } = await app.attach(context);
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(headers['content-type'], 'text/html');
+        assert.ok(body.includes('<title>Index of /static</title>'));
+        assert.ok(body.includes('<a href="/static/css/">css/</a>'));
+        assert.ok(body.includes('<a href="/">../</a>'));
+        assert.ok(!body.includes('binary'));
+    });
+
+    it('should list a directory as json if negotiated', async () => {
+        const { mtime, size } = fs.statSync(`${publicDir}/static/js/window.js`);
+        const context = createContext({
+            path: '/static/js/',
+            headers: { accept: 'application/json' },
+        });
+
+        const { body, headers } = await app.attach(context);
+        assert.strictEqual(headers['vary'], 'Accept');
+        assert.deepStrictEqual(body.path, '/static/js');
+        assert.deepStrictEqual(body.entries[0], {
+            name: 'window.js',
+            type: 'file',
+            size,
+            modified: mtime.toISOString(),
+        });
+        assert.deepStrictEqual(
+            body.entries.map(({ name }) => name),
+            ['window.js', 'window.js.gz'],
+        );
+    });
+
+    it('should list the subdirectories first', async () => {
+        const context = createContext({
+            path: '/',
+            headers: { accept: 'application/json' },
+        });
+
+        const { body } = await app.attach(context);
+        const names = body.entries.map(({ name }) => name);
+        assert.deepStrictEqual(names.slice(0, 3), [
+            '.well-known',
+            'contact',
+            'static',
+        ]);
+        assert.ok(!names.some((name) => name.includes('env')));
+    });
+
+    it('should prefer a route over a listing', async () => {
+        const context = createContext({ path: '/contact' });
+
+        const { body } = await app.attach(context);
+        assert.strictEqual(body, 'contact');
+    });
+
+    it('should link to the entries of a mounted application', async () => {
+        const parent = new AppExpress();
+        parent.use('/files', app);
+        const context = createContext({ path: '/files/static' });
+
+        const { body } = await parent.attach(context);
+        assert.ok(body.includes('<title>Index of /files/static</title>'));
+        assert.ok(body.includes('<a href="/files/static/css/">css/</a>'));
+        assert.ok(body.includes('<a href="/files/">../</a>'));
+    });
+
+    it('should not list directories by default', async () => {
+        const context = createContext({ path: '/static' });
+
+        const { statusCode } = await index(context);
+        assert.strictEqual(statusCode, 404);
+    });
+});
+
 describe('Request containing a binary file', () => {
     it('should return the same binary file contents', async () => {
         const rocket = `${publicDir}/static/images/rocket.png`;
@@ -422,6 +821,266 @@ describe('HTTP compression validation', () => {
     });
 });
 
+describe('Compression negotiation validation', () => {
+    const content = 'itznotabug '.repeat(200);
+
+    const app = new AppExpress();
+    app.get('/text', (request, response) => response.text(content));
+    app.get('/small', (request, response) => response.text('itznotabug'));
+    app.get('/encoded', (request, response) => {
+        response.setHeaders({ 'content-encoding': 'gzip' });
+        response.text(content);
+    });
+
+    const customApp = new AppExpress();
+    customApp.compression({
+        encoders: [
+            {
+                encoding: 'zstd',
+                priority: 1,
+                compress: (buffer) => Buffer.from(`zstd:${buffer.length}`),
+            },
+            {
+                encoding: 'gzip',
+                compress: (buffer) => Buffer.from(`gzip:${buffer.length}`),
+            },
+        ],
+    });
+    customApp.get('/text', (request, response) => response.text(content));
+
+    const legacyApp = new AppExpress();
+    legacyApp.compression({
+        encodings: new Set(['gzip', 'deflate']),
+        compress: (buffer) => Buffer.from(`custom:${buffer.length}`),
+    });
+    legacyApp.get('/text', (request, response) => response.text(content));
+
+    [
+        { accept: 'br;q=0, gzip', encoding: 'gzip' },
+        { accept: 'gzip;q=0.5, deflate', encoding: 'deflate' },
+        { accept: '*', encoding: 'br' },
+        { accept: 'identity, gzip;q=0.5', encoding: undefined },
+        { accept: undefined, encoding: undefined },
+    ].forEach(({ accept, encoding }) => {
+        it(`should negotiate ${encoding ?? 'no'} encoding for '${accept}'`, async () => {
+            const context = createContext({
+                path: '/text',
+                headers: { 'accept-encoding': accept },
+            });
+
+            const { body, headers } = await app.attach(context);
+            assert.strictEqual(headers['content-encoding'], encoding);
+            assert.strictEqual(headers['vary'], 'Accept-Encoding');
+            if (!encoding) assert.strictEqual(body, content);
+        });
+    });
+
+    it('should not compress a body below the threshold', async () => {
+        const context = createContext({
+            path: '/small',
+            headers: { 'accept-encoding': 'gzip' },
+        });
+
+        const { body, headers } = await app.attach(context);
+        assert.strictEqual(body, 'itznotabug');
+        assert.strictEqual(headers['content-encoding'], undefined);
+        assert.strictEqual(headers['vary'], 'Accept-Encoding');
+    });
+
+    it('should not compress an already encoded body', async () => {
+        const context = createContext({
+            path: '/encoded',
+            headers: { 'accept-encoding': 'br' },
+        });
+
+        const { body, headers } = await app.attach(context);
+        assert.strictEqual(body, content);
+        assert.strictEqual(headers['content-encoding'], 'gzip');
+    });
+
+    it('should prefer the custom encoder with a higher priority', async () => {
+        const context = createContext({
+            path: '/text',
+            headers: { 'accept-encoding': 'br, gzip, zstd' },
+        });
+
+        const { body, headers } = await customApp.attach(context);
+        assert.strictEqual(headers['content-encoding'], 'zstd');
+        assert.deepStrictEqual(body, Buffer.from(`zstd:${content.length}`));
+    });
+
+    it('should replace a built-in encoder with a custom one', async () => {
+        const context = createContext({
+            path: '/text',
+            headers: { 'accept-encoding': 'gzip' },
+        });
+
+        const { body, headers } = await customApp.attach(context);
+        assert.strictEqual(headers['content-encoding'], 'gzip');
+        assert.deepStrictEqual(body, Buffer.from(`gzip:${content.length}`));
+    });
+
+    it('should negotiate a single encoding for a compression handler', async () => {
+        const context = createContext({
+            path: '/text',
+            headers: { 'accept-encoding': 'gzip;q=0.5, deflate' },
+        });
+
+        const { body, headers } = await legacyApp.attach(context);
+        assert.strictEqual(headers['content-encoding'], 'deflate');
+        assert.deepStrictEqual(body, Buffer.from(`custom:${content.length}`));
+    });
+
+    it('should throw on a negative threshold', () => {
+        assert.throws(
+            () => new AppExpress().compression(true, { threshold: -1 }),
+            /Invalid compression threshold provided/,
+        );
+    });
+});
+
+describe('Compression levels & cache validation', () => {
+    const largeContent = 'itznotabug '.repeat(100 * 1024);
+    const mediumContent = 'itznotabug '.repeat(7 * 1024);
+    const levels = { br: 11, gzip: 9, deflate: 9 };
+
+    const app = new AppExpress();
+    app.compression(true, levels);
+    app.get('/large', (request, response) => response.text(largeContent));
+    app.get('/medium', (request, response) => response.text(mediumContent));
+
+    const fixedApp = new AppExpress();
+    fixedApp.compression(true, { ...levels, adaptive: false });
+    fixedApp.get('/large', (request, response) => response.text(largeContent));
+
+    let compressions = 0;
+    const encoders = [
+        {
+            encoding: 'gzip',
+            compress: (buffer) => {
+                compressions++;
+                return zlib.gzipSync(buffer);
+            },
+        },
+    ];
+
+    const cachedApp = new AppExpress();
+    cachedApp.compression({ encoders }, { ...levels, cacheSize: 1024 * 1024 });
+    cachedApp.get('/text/:name', (request, response) =>
+        response.text(`${request.params.name} `.repeat(1024)),
+    );
+
+    const uncachedApp = new AppExpress();
+    uncachedApp.compression({ encoders }, levels);
+    uncachedApp.get('/text/:name', (request, response) =>
+        response.text(`${request.params.name} `.repeat(1024)),
+    );
+
+    it('should lower the gzip level for a body above 1 MB', async () => {
+        const context = createContext({
+            path: '/large',
+            headers: { 'accept-encoding': 'gzip' },
+        });
+
+        const { body } = await app.attach(context);
+        const expected = zlib.gzipSync(Buffer.from(largeContent), {
+            level: 6,
+        });
+        assert.deepStrictEqual(body, expected);
+    });
+
+    it('should lower the brotli quality for a body above 64 KB', async () => {
+        const context = createContext({
+            path: '/medium',
+            headers: { 'accept-encoding': 'br' },
+        });
+
+        const { body } = await app.attach(context);
+        const expected = zlib.brotliCompressSync(Buffer.from(mediumContent), {
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 },
+        });
+        assert.deepStrictEqual(body, expected);
+    });
+
+    it('should use the configured level if adaptive is disabled', async () => {
+        const context = createContext({
+            path: '/large',
+            headers: { 'accept-encoding': 'gzip' },
+        });
+
+        const { body } = await fixedApp.attach(context);
+        const expected = zlib.gzipSync(Buffer.from(largeContent), {
+            level: 9,
+        });
+        assert.deepStrictEqual(body, expected);
+    });
+
+    it('should compress an identical body only once if cached', async () => {
+        compressions = 0;
+
+        for (const name of ['appexpress', 'appexpress', 'itznotabug']) {
+            const context = createContext({
+                path: `/text/${name}`,
+                headers: { 'accept-encoding': 'gzip' },
+            });
+
+            const { body, headers } = await cachedApp.attach(context);
+            assert.strictEqual(headers['content-encoding'], 'gzip');
+            assert.strictEqual(
+                zlib.gunzipSync(body).toString(),
+                `${name} `.repeat(1024),
+            );
+        }
+
+        assert.strictEqual(compressions, 2);
+    });
+
+    it('should compress every body if the cache is disabled', async () => {
+        compressions = 0;
+
+        for (let i = 0; i < 2; i++) {
+            const context = createContext({
+                path: '/text/appexpress',
+                headers: { 'accept-encoding': 'gzip' },
+            });
+
+            await uncachedApp.attach(context);
+        }
+
+        assert.strictEqual(compressions, 2);
+    });
+
+    it('should default the missing levels', async () => {
+        const defaultsApp = new AppExpress();
+        defaultsApp.compression(true, { gzip: 9, adaptive: false });
+        defaultsApp.get('/medium', (request, response) =>
+            response.text(mediumContent),
+        );
+
+        const context = createContext({
+            path: '/medium',
+            headers: { 'accept-encoding': 'br' },
+        });
+
+        const { body } = await defaultsApp.attach(context);
+        const expected = zlib.brotliCompressSync(Buffer.from(mediumContent), {
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11 },
+        });
+        assert.deepStrictEqual(body, expected);
+    });
+
+    it('should throw on a negative cache size', () => {
+        assert.throws(
+            () =>
+                new AppExpress().compression(true, {
+                    ...levels,
+                    cacheSize: -1,
+                }),
+            /Invalid compression cache size provided/,
+        );
+    });
+});
+
 describe('Extended middleware validation', () => {
     it(`should return a header added by the middleware outgoing handler`, async () => {
         const expected = {
@@ -457,46 +1116,1675 @@ describe('Extended middleware validation', () => {
     });
 });
 
-describe('Clean URLs validation', () => {
-    it(`should return index.html content on requesting just index path`, async () => {
-        const indexHtml = `${publicDir}/index.html`;
-        const indexContent = fs.readFileSync(indexHtml, 'utf8');
+describe('Around middleware validation', () => {
+    it('should return a response modified after the route handler', async () => {
+        const context = createContext({ path: '/around' });
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(body, 'around');
+        assert.strictEqual(statusCode, 202);
+        assert.strictEqual(headers['x-around'], 'around');
+    });
 
-        const context = createContext({
-            path: '/index',
-        });
+    it('should return a response from a retried route handler', async () => {
+        const context = createContext({ path: '/around/retry' });
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(body, 'retried');
+        assert.strictEqual(statusCode, 202);
+        assert.strictEqual(headers.attempt, 2);
+    });
 
-        const { body } = await index(context);
-        assert.strictEqual(body, indexContent);
+    it('should return a response without calling the route handler', async () => {
+        const context = createContext({ path: '/around/short' });
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(body, 'short');
+        assert.strictEqual(statusCode, 200);
     });
+});
 
-    it(`should return robots.txt content on requesting just the robots path`, async () => {
-        const robotsFile = `${publicDir}/robots.txt`;
-        const robotsFileContent = fs.readFileSync(robotsFile, 'utf8');
+describe('Route middlewares validation', () => {
+    it('should return a response from a route middleware', async () => {
+        const context = createContext({ path: '/guarded' });
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(body, 'Unauthorized');
+        assert.strictEqual(statusCode, 401);
+        assert.strictEqual(headers['x-route-middleware'], undefined);
+    });
 
+    it('should run the route middlewares before the handler', async () => {
         const context = createContext({
-            path: '/robots',
+            path: '/guarded',
+            headers: { 'x-token': 'token' },
         });
 
-        const { body } = await index(context);
-        assert.strictEqual(body, robotsFileContent);
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(body, 'guarded');
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(headers['x-route-middleware'], 'tagged');
     });
 
-    it(`should return ads.txt content on requesting just the ads path`, async () => {
-        const robotsFile = `${publicDir}/ads.txt`;
-        const robotsFileContent = fs.readFileSync(robotsFile, 'utf8');
-
-        const context = createContext({
-            path: '/ads',
-        });
+    it('should run the route middlewares of a router', async () => {
+        const unauthorized = await index(
+            createContext({ path: '/guarded/router/user' }),
+        );
+        assert.strictEqual(unauthorized.statusCode, 401);
+
+        const authorized = await index(
+            createContext({
+                path: '/guarded/router/user',
+                headers: { 'x-token': 'token' },
+            }),
+        );
+        assert.strictEqual(authorized.body, 'user');
+    });
 
-        const { body } = await index(context);
-        assert.strictEqual(body, robotsFileContent);
+    it('should not run the route middlewares for other routes', async () => {
+        const context = createContext({ path: '/methods' });
+        const { body, headers } = await index(context);
+        assert.strictEqual(body, 'get');
+        assert.strictEqual(headers['x-route-middleware'], undefined);
     });
 });
 
-describe('Index file fallback validation', () => {
-    it(`should return contact/index.html content on requesting just contact path`, async () => {
+describe('Router middlewares & nested routers validation', () => {
+    it('should run the router middleware for its routes', async () => {
+        const context = createContext({ path: '/admin' });
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(body, 'Unauthorized');
+        assert.strictEqual(statusCode, 401);
+    });
+
+    it('should run the router middleware for unmatched paths under it', async () => {
+        const context = createContext({ path: '/admin/void' });
+        const { statusCode } = await index(context);
+        assert.strictEqual(statusCode, 401);
+    });
+
+    it('should return a response from a nested router', async () => {
+        const context = createContext({
+            path: '/admin/reports/sales',
+            headers: { 'x-token': 'token' },
+        });
+
+        const { body, headers } = await index(context);
+        assert.strictEqual(body, 'sales');
+        assert.strictEqual(headers['x-reports'], 'nested');
+    });
+
+    it('should not run the router middlewares outside its path', async () => {
+        const context = createContext({ path: '/administrator' });
+        const { statusCode, headers } = await index(context);
+        assert.strictEqual(statusCode, 404);
+        assert.strictEqual(headers['x-reports'], undefined);
+    });
+
+    it('should not run the nested router middlewares for the parent', async () => {
+        const context = createContext({
+            path: '/admin',
+            headers: { 'x-token': 'token' },
+        });
+
+        const { body, headers } = await index(context);
+        assert.strictEqual(body, 'admin');
+        assert.strictEqual(headers['x-reports'], undefined);
+    });
+
+    it('should accept a router with only middlewares', async () => {
+        const router = new AppExpress.Router();
+        router.middleware((request, response) => {
+            response.setHeaders({ 'x-router': 'middleware' });
+        });
+
+        const app = new AppExpress();
+        app.use('/api', router);
+        app.get('/api/users', (request, response) => response.text('users'));
+
+        const context = createContext({ path: '/api/users' });
+        const { body, headers } = await app.attach(context);
+        assert.strictEqual(body, 'users');
+        assert.strictEqual(headers['x-router'], 'middleware');
+    });
+
+    it('should throw for a router without routes or middlewares', () => {
+        assert.throws(
+            () => new AppExpress().use('/api', new AppExpress.Router()),
+            /No routes or middlewares defined for path '\/api'/,
+        );
+    });
+});
+
+describe('Sub-application validation', () => {
+    it('should return a response with the mount prefix removed', async () => {
+        const context = createContext({ path: '/billing/invoices/42' });
+        const { body, headers } = await index(context);
+        assert.strictEqual(body, 'invoice-42');
+        assert.strictEqual(headers['x-billing'], '/billing/invoices/42');
+        assert.strictEqual(headers['X-Powered-By'], 'AppExpress');
+    });
+
+    it('should retrieve a dependency injected in the parent', async () => {
+        const expected =
+            'Lorem Ipsum is simply dummy text of the printing and typesetting industry.';
+
+        const context = createContext({ path: '/billing/lorem' });
+        const { body } = await index(context);
+        assert.strictEqual(body, expected);
+    });
+
+    it('should render with the views and engines of the parent', async () => {
+        const context = createContext({ path: '/billing/render' });
+        const { body } = await index(context);
+        assert.strictEqual(body, `<h1>Welcome to AppExpress</h1>`);
+    });
+
+    it('should return a response from its own error handler', async () => {
+        const context = createContext({ path: '/billing/error' });
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(body, 'billing: failed');
+        assert.strictEqual(statusCode, 500);
+    });
+
+    it('should continue with the parent for unmatched paths', async () => {
+        const context = createContext({ path: '/billing/parent' });
+        const { body, headers } = await index(context);
+        assert.strictEqual(body, '/billing/parent');
+        assert.strictEqual(headers['x-billing'], undefined);
+    });
+
+    describe('with its own settings', () => {
+        const parent = new AppExpress();
+        parent.cookieSecret('parent-secret');
+        parent.bodyLimits({ fields: 5 });
+
+        const child = new AppExpress();
+        child.cookieSecret('child-secret');
+        child.bodyLimits({ fields: 1 });
+        child.baseDirectory('./src/function/public');
+        child.get('/signed', (request, response) =>
+            response.json(request.signedCookies),
+        );
+        child.post('/form', (request, response) => response.json(request.form));
+        child.get('/file', (request, response) => response.binary('ads.txt'));
+
+        parent.use('/child', child);
+        parent.post('/form', (request, response) =>
+            response.json(request.form),
+        );
+
+        const signedCookie = async (secret) => {
+            const signer = new AppExpress();
+            signer.cookieSecret(secret);
+            signer.get('/', (request, response) => {
+                response.cookie('user', 'itznotabug', { signed: true });
+                response.empty();
+            });
+
+            const { headers } = await signer.attach(createContext());
+            return headers['set-cookie'][0].split(';')[0];
+        };
+
+        const formContext = (path) =>
+            createContext({
+                path,
+                method: 'post',
+                headers: {
+                    'content-type': 'application/x-www-form-urlencoded',
+                },
+                bodyText: 'a=1&b=2',
+            });
+
+        it('should verify cookies with its own secret', async () => {
+            const context = createContext({
+                path: '/child/signed',
+                headers: { cookie: await signedCookie('child-secret') },
+            });
+
+            const { body } = await parent.attach(context);
+            assert.deepStrictEqual({ ...body }, { user: 'itznotabug' });
+        });
+
+        it('should not verify cookies with the parent secret', async () => {
+            const context = createContext({
+                path: '/child/signed',
+                headers: { cookie: await signedCookie('parent-secret') },
+            });
+
+            const { body } = await parent.attach(context);
+            assert.deepStrictEqual({ ...body }, { user: false });
+        });
+
+        it('should apply its own body limits', async () => {
+            const child = await parent.attach(formContext('/child/form'));
+            assert.strictEqual(child.statusCode, 413);
+            assert.strictEqual(child.body, 'Too many fields, the limit is 1.');
+
+            const { body } = await parent.attach(formContext('/form'));
+            assert.deepStrictEqual({ ...body }, { a: '1', b: '2' });
+        });
+
+        it('should read files from its own base directory', async () => {
+            const context = createContext({ path: '/child/file' });
+
+            const { body } = await parent.attach(context);
+            assert.deepStrictEqual(
+                body,
+                fs.readFileSync(`${publicDir}/ads.txt`),
+            );
+        });
+    });
+});
+
+describe('Route precedence validation', () => {
+    [
+        { path: '/precedence/static', expected: 'static' },
+        { path: '/precedence/42', expected: 'param-42' },
+        { path: '/precedence/42/a/b', expected: 'wildcard' },
+        { path: '/precedence/me/profile', expected: 'static-profile' },
+        { path: '/precedence/42/profile', expected: 'param-42-profile' },
+    ].forEach(({ path, expected }) => {
+        it(`should return '${expected}' for ${path}`, async () => {
+            const context = createContext({ path });
+            const { body } = await index(context);
+            assert.strictEqual(body, expected);
+        });
+    });
+
+    it('should log duplicate and conflicting routes with the context', async () => {
+        const express = new AppExpress();
+        express.get('/users/:id', (request, response) => response.empty());
+        express.get('/users/:id', (request, response) => response.empty());
+        express.get('/users/:uid', (request, response) => response.empty());
+        express.get('/users/:id/posts', (request, response) =>
+            response.empty(),
+        );
+
+        const logs = [];
+        const context = createContext({ path: '/users/42' });
+        context.log = (message) => logs.push(message);
+
+        await express.attach(context);
+        assert.deepStrictEqual(logs, [
+            `Route 'GET /users/:id' is registered more than once, the last handler is used.`,
+            `Route 'GET /users/:uid' conflicts with '/users/:id', the last registered one is used.`,
+        ]);
+
+        // logged once.
+        logs.length = 0;
+        await express.attach(context);
+        assert.deepStrictEqual(logs, []);
+    });
+
+    it('should match the root with a trailing wildcard', async () => {
+        const express = new AppExpress();
+        express.get('/*path', (request, response) =>
+            response.json(request.params),
+        );
+
+        const root = await express.attach(createContext({ path: '/' }));
+        assert.deepStrictEqual(root.body, { path: '' });
+
+        const nested = await express.attach(createContext({ path: '/a/b' }));
+        assert.deepStrictEqual(nested.body, { path: 'a/b' });
+    });
+});
+
+describe('Route patterns validation', () => {
+    [
+        { path: '/patterns/posts', expected: 'post-all' },
+        { path: '/patterns/posts/42', expected: 'post-42' },
+        { path: '/patterns/users/42', expected: 'user-id-42' },
+        {
+            path: '/patterns/users/itznotabug',
+            expected: 'user-name-itznotabug',
+        },
+        { path: '/patterns/users/John%20Doe', expected: 'user-name-John Doe' },
+        {
+            path: '/patterns/files/docs/2024/report.pdf',
+            expected: 'docs/2024/report.pdf',
+        },
+        { path: '/patterns/all/42', method: 'delete', expected: '42' },
+    ].forEach(({ path, method = 'get', expected }) => {
+        it(`should return '${expected}' for ${method.toUpperCase()} ${path}`, async () => {
+            const context = createContext({ path, method });
+            const { body } = await index(context);
+            assert.strictEqual(body, expected);
+        });
+    });
+
+    it('should extract params mixed with static text in a segment', async () => {
+        const context = createContext({
+            path: '/patterns/downloads/app.min.js',
+        });
+        const { body } = await index(context);
+        assert.deepStrictEqual(body, { file: 'app.min', ext: 'js' });
+    });
+
+    it('should not match a wildcard without any segment', async () => {
+        const context = createContext({ path: '/patterns/files' });
+        const { statusCode } = await index(context);
+        assert.strictEqual(statusCode, 404);
+    });
+});
+
+describe('Status and redirects validation', () => {
+    it('should chain the status into a response', async () => {
+        const context = createContext({ path: '/responses/created' });
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 201);
+        assert.deepStrictEqual(body, { created: true });
+    });
+
+    it('should set the location header', async () => {
+        const context = createContext({ path: '/responses/location' });
+        const { statusCode, headers } = await index(context);
+        assert.strictEqual(statusCode, 202);
+        assert.strictEqual(headers['location'], '/docs');
+    });
+
+    [
+        {
+            path: '/responses/login',
+            method: 'post',
+            status: 303,
+            url: '/dashboard',
+        },
+        { path: '/responses/moved', status: 308, url: '/new' },
+        { path: '/responses/chained', status: 302, url: '/new' },
+    ].forEach(({ path, method = 'get', status, url }) => {
+        it(`should redirect with ${status} for ${path}`, async () => {
+            const context = createContext({ path, method });
+            const { body, statusCode } = await index(context);
+            assert.strictEqual(statusCode, status);
+            assert.strictEqual(body, url);
+        });
+    });
+
+    it('should redirect back to the referer', async () => {
+        const context = createContext({
+            path: '/responses/back',
+            headers: { referer: 'https://example.com/cart' },
+        });
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 302);
+        assert.strictEqual(body, 'https://example.com/cart');
+    });
+
+    it('should redirect back to the root without a referer', async () => {
+        const context = createContext({ path: '/responses/back' });
+        const { body } = await index(context);
+        assert.strictEqual(body, '/');
+    });
+
+    it('should reject an invalid redirect status', async () => {
+        const context = createContext({ path: '/responses/invalid' });
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 500);
+        assert.strictEqual(
+            body,
+            "Invalid redirect status code '200', use one of 301, 302, 303, 307 or 308.",
+        );
+    });
+});
+
+describe('Content negotiation validation', () => {
+    [
+        {
+            accept: 'application/json;q=0.9, text/html;q=0.8',
+            contentType: undefined,
+            vary: 'Accept',
+            body: { name: 'itznotabug' },
+        },
+        {
+            accept: 'text/*',
+            contentType: 'text/html',
+            vary: 'Accept, Accept-Encoding',
+            body: '<h1>itznotabug</h1>',
+        },
+        {
+            accept: undefined,
+            contentType: 'text/html',
+            vary: 'Accept, Accept-Encoding',
+            body: '<h1>itznotabug</h1>',
+        },
+    ].forEach(({ accept, contentType, vary, body: expected }) => {
+        it(`should format the response for accept '${accept}'`, async () => {
+            const context = createContext({
+                path: '/negotiation/user',
+                headers: accept ? { accept } : {},
+            });
+
+            const { body, headers } = await index(context);
+            assert.deepStrictEqual(body, expected);
+            assert.strictEqual(headers['content-type'], contentType);
+            assert.strictEqual(headers['vary'], vary);
+        });
+    });
+
+    it('should return a 406 if no type is acceptable', async () => {
+        const context = createContext({
+            path: '/negotiation/strict',
+            headers: { accept: 'image/png, application/json;q=0' },
+        });
+
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(statusCode, 406);
+        assert.strictEqual(body, 'Not Acceptable');
+        assert.strictEqual(headers['vary'], 'Accept, Accept-Encoding');
+    });
+
+    it('should use the default handler if no type is acceptable', async () => {
+        const context = createContext({
+            path: '/negotiation/fallback',
+            headers: { accept: 'image/png' },
+        });
+
+        const { body } = await index(context);
+        assert.strictEqual(body, 'itznotabug');
+    });
+
+    it('should negotiate types, languages and encodings', async () => {
+        const context = createContext({
+            path: '/negotiation/accepts',
+            headers: {
+                accept: 'text/html;q=0.5, application/json',
+                'accept-language': 'de, fr;q=0.8, en;q=0.2',
+                'accept-encoding': 'br;q=0, gzip;q=0.8, deflate',
+            },
+        });
+
+        const { body } = await index(context);
+        assert.deepStrictEqual(body, {
+            type: 'json',
+            types: ['application/json', 'text/html'],
+            language: 'fr-FR',
+            encoding: 'gzip',
+            encodings: ['deflate', 'gzip', 'identity'],
+        });
+    });
+});
+
+describe('Conditional requests validation', () => {
+    const app = new AppExpress();
+    app.etag('strong');
+
+    app.get('/etag', (request, response) => response.text('itznotabug'));
+    app.get('/etag/json', (request, response) =>
+        response.json({ name: 'itznotabug' }),
+    );
+    app.get('/etag/custom', (request, response) => {
+        response.setHeaders({ etag: '"custom"' });
+        response.text('itznotabug');
+    });
+    app.post('/etag', (request, response) => response.text('itznotabug'));
+    app.get('/etag/none', (request, response) => response.empty());
+    app.get('/etag/empty', (request, response) => response.text(''));
+
+    const weakApp = new AppExpress();
+    weakApp.etag('weak');
+    weakApp.get('/etag', (request, response) => response.text('itznotabug'));
+
+    it('should add a strong etag to the response', async () => {
+        const context = createContext({ path: '/etag' });
+
+        const { headers } = await app.attach(context);
+        assert.match(headers['etag'], /^"a-[\w+/]{27}"$/);
+    });
+
+    it('should add a weak etag to the response', async () => {
+        const context = createContext({ path: '/etag' });
+
+        const { headers } = await weakApp.attach(context);
+        assert.match(headers['etag'], /^W\/"a-[\w+/]{27}"$/);
+    });
+
+    it('should not add an etag if disabled', async () => {
+        const context = createContext({ path: '/' });
+
+        const { headers } = await index(context);
+        assert.strictEqual(headers['etag'], undefined);
+    });
+
+    ['/etag/none', '/etag/empty'].forEach((path) => {
+        it(`should not add an etag without a body for ${path}`, async () => {
+            const context = createContext({ path });
+
+            const { headers } = await app.attach(context);
+            assert.strictEqual(headers['etag'], undefined);
+        });
+    });
+
+    it('should not fail for an undefined body', async () => {
+        const undefinedApp = new AppExpress();
+        undefinedApp.etag(true);
+        undefinedApp.get('/', (request, response) => response.json(undefined));
+
+        const { statusCode, headers } =
+            await undefinedApp.attach(createContext());
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(headers['etag'], undefined);
+    });
+
+    it('should throw on an invalid etag type', () => {
+        assert.throws(
+            () => new AppExpress().etag('random'),
+            /Invalid ETag type 'random'/,
+        );
+    });
+
+    it('should return a 304 for a matching if-none-match', async () => {
+        const { headers: initial } = await app.attach(
+            createContext({ path: '/etag/json' }),
+        );
+
+        const context = createContext({
+            path: '/etag/json',
+            headers: {
+                'if-none-match': `"other", W/${initial['etag']}`,
+                'accept-encoding': 'br',
+            },
+        });
+
+        const { body, statusCode, headers } = await app.attach(context);
+        assert.strictEqual(statusCode, 304);
+        assert.strictEqual(body, '');
+        assert.strictEqual(headers['etag'], initial['etag']);
+        assert.strictEqual(headers['content-encoding'], undefined);
+    });
+
+    it('should keep a custom etag', async () => {
+        const context = createContext({
+            path: '/etag/custom',
+            headers: { 'if-none-match': '"custom"' },
+        });
+
+        const { statusCode, headers } = await app.attach(context);
+        assert.strictEqual(statusCode, 304);
+        assert.strictEqual(headers['etag'], '"custom"');
+    });
+
+    [
+        { method: 'GET', headers: { 'if-none-match': '"stale"' } },
+        {
+            method: 'GET',
+            headers: { 'if-none-match': '*', 'cache-control': 'no-cache' },
+        },
+        { method: 'POST', headers: { 'if-none-match': '*' } },
+    ].forEach(({ method, headers }) => {
+        it(`should return a 200 for ${method} with ${JSON.stringify(headers)}`, async () => {
+            const context = createContext({ method, path: '/etag', headers });
+
+            const { body, statusCode } = await app.attach(context);
+            assert.strictEqual(statusCode, 200);
+            assert.strictEqual(body, 'itznotabug');
+        });
+    });
+
+    it('should add last-modified to static files', async () => {
+        const { mtime } = fs.statSync(`${publicDir}/robots.txt`);
+        const context = createContext({ path: '/robots.txt' });
+
+        const { headers } = await index(context);
+        assert.strictEqual(headers['last-modified'], mtime.toUTCString());
+    });
+
+    [
+        { offset: 0, statusCode: 304 },
+        { offset: 60_000, statusCode: 304 },
+        { offset: -60_000, statusCode: 200 },
+    ].forEach(({ offset, statusCode: expected }) => {
+        it(`should return a ${expected} for if-modified-since offset by ${offset}ms`, async () => {
+            const { mtime } = fs.statSync(`${publicDir}/robots.txt`);
+            const since = new Date(mtime.getTime() + offset);
+
+            const context = createContext({
+                path: '/robots.txt',
+                headers: { 'if-modified-since': since.toUTCString() },
+            });
+
+            const { statusCode } = await index(context);
+            assert.strictEqual(statusCode, expected);
+        });
+    });
+});
+
+describe('Range requests and downloads validation', () => {
+    const rocket = fs.readFileSync(`${publicDir}/static/images/rocket.png`);
+    const robotsTxt = fs.readFileSync(`${publicDir}/robots.txt`);
+
+    [
+        { range: 'bytes=0-99', start: 0, end: 99 },
+        { range: 'bytes=100-', start: 100, end: rocket.length - 1 },
+        {
+            range: 'bytes=-50',
+            start: rocket.length - 50,
+            end: rocket.length - 1,
+        },
+        { range: 'bytes=10-999999999', start: 10, end: rocket.length - 1 },
+    ].forEach(({ range, start, end }) => {
+        it(`should return a 206 for '${range}'`, async () => {
+            const context = createContext({
+                path: '/files/rocket',
+                headers: { range },
+            });
+
+            const { body, statusCode, headers } = await index(context);
+            assert.strictEqual(statusCode, 206);
+            assert.deepStrictEqual(body, rocket.subarray(start, end + 1));
+            assert.strictEqual(
+                headers['content-range'],
+                `bytes ${start}-${end}/${rocket.length}`,
+            );
+            assert.strictEqual(headers['content-length'], end - start + 1);
+            assert.strictEqual(headers['accept-ranges'], 'bytes');
+        });
+    });
+
+    [`bytes=${rocket.length}-`, 'bytes=-0'].forEach((range) => {
+        it(`should return a 416 for '${range}'`, async () => {
+            const context = createContext({
+                path: '/files/rocket',
+                headers: { range },
+            });
+
+            const { body, statusCode, headers } = await index(context);
+            assert.strictEqual(statusCode, 416);
+            assert.strictEqual(body, '');
+            assert.strictEqual(
+                headers['content-range'],
+                `bytes */${rocket.length}`,
+            );
+        });
+    });
+
+    ['bytes=0-1,5-9', 'items=0-5', 'bytes=9-1'].forEach((range) => {
+        it(`should ignore the range '${range}'`, async () => {
+            const context = createContext({
+                path: '/files/rocket',
+                headers: { range },
+            });
+
+            const { body, statusCode } = await index(context);
+            assert.strictEqual(statusCode, 200);
+            assert.deepStrictEqual(body, rocket);
+        });
+    });
+
+    it('should return a range of a static file', async () => {
+        const context = createContext({
+            path: '/robots.txt',
+            headers: { range: 'bytes=0-9', 'accept-encoding': 'gzip' },
+        });
+
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(statusCode, 206);
+        assert.strictEqual(headers['content-encoding'], undefined);
+        assert.deepStrictEqual(body, robotsTxt.subarray(0, 10));
+    });
+
+    [
+        {
+            name: 'an old date',
+            ifRange: () => new Date(0).toUTCString(),
+            statusCode: 200,
+        },
+        {
+            name: 'the last-modified date',
+            ifRange: () =>
+                fs.statSync(`${publicDir}/robots.txt`).mtime.toUTCString(),
+            statusCode: 206,
+        },
+        { name: 'a stale etag', ifRange: () => '"stale"', statusCode: 200 },
+    ].forEach(({ name, ifRange, statusCode: expected }) => {
+        it(`should return a ${expected} for an if-range with ${name}`, async () => {
+            const context = createContext({
+                path: '/robots.txt',
+                headers: { range: 'bytes=0-9', 'if-range': ifRange() },
+            });
+
+            const { statusCode } = await index(context);
+            assert.strictEqual(statusCode, expected);
+        });
+    });
+
+    it('should download a file with a custom name', async () => {
+        const context = createContext({ path: '/files/download' });
+
+        const { body, headers } = await index(context);
+        assert.deepStrictEqual(body, rocket);
+        assert.strictEqual(headers['content-type'], 'image/png');
+        assert.strictEqual(
+            headers['content-disposition'],
+            'attachment; filename="rocket launch.png"',
+        );
+    });
+
+    it('should download a file with its own name', async () => {
+        const context = createContext({ path: '/files/download/default' });
+
+        const { body, headers } = await index(context);
+        assert.deepStrictEqual(body, robotsTxt);
+        assert.strictEqual(
+            headers['content-disposition'],
+            'attachment; filename="robots.txt"',
+        );
+    });
+
+    it('should not read files outside the function directory', async () => {
+        const context = createContext({ path: '/files/download/escape' });
+
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(statusCode, 403);
+        assert.strictEqual(body, 'Forbidden');
+        assert.strictEqual(headers['content-type'], 'text/plain');
+        assert.strictEqual(headers['content-disposition'], undefined);
+    });
+
+    it('should answer a missing file with a 404', async () => {
+        const context = createContext({ path: '/files/download/missing' });
+
+        const { body, statusCode, headers } = await index(context);
+        assert.strictEqual(statusCode, 404);
+        assert.strictEqual(body, 'Not Found');
+        assert.strictEqual(headers['content-type'], 'text/plain');
+        assert.strictEqual(headers['content-disposition'], undefined);
+    });
+
+    it('should encode non-ascii attachment names', async () => {
+        const context = createContext({ path: '/files/attachment' });
+
+        const { body, headers } = await index(context);
+        assert.strictEqual(body, 'name,role');
+        assert.strictEqual(
+            headers['content-disposition'],
+            `attachment; filename="r?sum? \\"v2\\".csv"; filename*=UTF-8''r%C3%A9sum%C3%A9%20%22v2%22.csv`,
+        );
+    });
+});
+
+describe('Cookies validation', () => {
+    const app = new AppExpress();
+    app.cookieSecret(['current-secret', 'previous-secret']);
+
+    app.get('/cookies', (request, response) =>
+        response.json({
+            cookies: request.cookies,
+            signed: request.signedCookies,
+        }),
+    );
+    app.get('/cookies/set', (request, response) => {
+        response.cookie('theme', 'dark', {
+            maxAge: 3_600_000,
+            sameSite: 'lax',
+        });
+        response.cookie('user', 'itz not a bug', {
+            httpOnly: true,
+            secure: true,
+            signed: true,
+        });
+        response.clearCookie('legacy', { path: '/old' });
+        response.text('cookies set');
+    });
+
+    it('should set multiple cookies', async () => {
+        const context = createContext({ path: '/cookies/set' });
+        const { headers } = await app.attach(context);
+
+        const [theme, user, legacy] = headers['set-cookie'];
+        assert.strictEqual(
+            theme,
+            'theme=dark; Max-Age=3600; Path=/; SameSite=Lax',
+        );
+        assert.match(
+            user,
+            /^user=s%3Aitz%20not%20a%20bug\.[^;]+; Path=\/; HttpOnly; Secure$/,
+        );
+        assert.strictEqual(
+            legacy,
+            'legacy=; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/old',
+        );
+    });
+
+    it('should parse unsigned and verify signed cookies', async () => {
+        const { headers } = await app.attach(
+            createContext({ path: '/cookies/set' }),
+        );
+        const signedUser = headers['set-cookie'][1].split(';')[0];
+
+        const context = createContext({
+            path: '/cookies',
+            headers: {
+                cookie: `theme=dark; note=%F0%9F%9A%80; ${signedUser}; admin=s%3Atrue.forged`,
+            },
+        });
+
+        const { body } = await app.attach(context);
+        assert.deepStrictEqual(
+            { cookies: { ...body.cookies }, signed: { ...body.signed } },
+            {
+                cookies: { theme: 'dark', note: '🚀' },
+                signed: { user: 'itz not a bug', admin: false },
+            },
+        );
+    });
+
+    [
+        { option: 'domain', value: 'ex.com; HttpOnly=false' },
+        { option: 'path', value: '/\r\nSet-Cookie: admin=true' },
+    ].forEach(({ option, value }) => {
+        it(`should reject a cookie ${option} with attributes`, async () => {
+            const cookieApp = new AppExpress();
+            cookieApp.get('/', (request, response) => {
+                response.cookie('theme', 'dark', { [option]: value });
+                response.empty();
+            });
+
+            const { body, statusCode } =
+                await cookieApp.attach(createContext());
+            assert.strictEqual(statusCode, 500);
+            assert.strictEqual(body, `Invalid cookie ${option} '${value}'.`);
+        });
+    });
+
+    it('should keep cookies named like object properties', async () => {
+        const context = createContext({
+            path: '/cookies',
+            headers: { cookie: 'constructor=abc; __proto__=x; a=2' },
+        });
+
+        const { body } = await app.attach(context);
+        assert.deepStrictEqual(Object.entries(body.cookies), [
+            ['constructor', 'abc'],
+            ['__proto__', 'x'],
+            ['a', '2'],
+        ]);
+    });
+
+    it('should verify cookies signed with a previous secret', async () => {
+        const previousApp = new AppExpress();
+        previousApp.cookieSecret('previous-secret');
+        previousApp.get('/', (request, response) => {
+            response.cookie('user', 'rotated', { signed: true });
+            response.empty();
+        });
+
+        const { headers } = await previousApp.attach(createContext());
+        const cookie = headers['set-cookie'][0].split(';')[0];
+
+        const context = createContext({
+            path: '/cookies',
+            headers: { cookie },
+        });
+        const { body } = await app.attach(context);
+        assert.deepStrictEqual({ ...body.signed }, { user: 'rotated' });
+    });
+
+    it('should require a secret for signed cookies', async () => {
+        const unsignedApp = new AppExpress();
+        unsignedApp.get('/', (request, response) => {
+            response.cookie('user', 'itznotabug', { signed: true });
+        });
+
+        const { body, statusCode } = await unsignedApp.attach(createContext());
+        assert.strictEqual(statusCode, 500);
+        assert.strictEqual(
+            body,
+            "A secret is required for signed cookies. Use 'AppExpress#cookieSecret' to set one.",
+        );
+    });
+});
+
+describe('Sessions validation', () => {
+    const app = new AppExpress();
+    app.session({ secret: 'session-secret' });
+
+    app.get('/views', (request, response) => {
+        const views = (request.session.get('views') ?? 0) + 1;
+        request.session.set('views', views);
+        response.json({ id: request.session.id, views });
+    });
+    app.get('/peek', (request, response) =>
+        response.json({
+            isNew: request.session.isNew,
+            views: request.session.get('views') ?? 0,
+        }),
+    );
+    app.post('/login', (request, response) => {
+        const previousId = request.session.id;
+        request.session.regenerate();
+        request.session.set('userId', 'itznotabug');
+        response.json({ previousId, id: request.session.id });
+    });
+    app.post('/logout', (request, response) => {
+        request.session.destroy();
+        response.empty();
+    });
+
+    const sessionCookie = (headers) =>
+        headers['set-cookie']
+            ?.find((cookie) => cookie.startsWith('sid='))
+            ?.split(';')[0];
+
+    const request = (path, cookie, method = 'get') =>
+        app.attach(
+            createContext({ path, method, headers: cookie ? { cookie } : {} }),
+        );
+
+    it('should create and restore a session', async () => {
+        const first = await request('/views');
+        const cookie = sessionCookie(first.headers);
+
+        assert.strictEqual(first.body.views, 1);
+        assert.match(
+            first.headers['set-cookie'][0],
+            /^sid=s%3A[^;]+; Max-Age=86400; Path=\/; HttpOnly; SameSite=Lax$/,
+        );
+
+        const second = await request('/views', cookie);
+        assert.strictEqual(second.body.views, 2);
+        assert.strictEqual(second.body.id, first.body.id);
+    });
+
+    it('should not send a cookie for an unchanged session', async () => {
+        const { body, headers } = await request('/peek');
+        assert.deepStrictEqual(body, { isNew: true, views: 0 });
+        assert.strictEqual(headers['set-cookie'], undefined);
+    });
+
+    it('should ignore a tampered session cookie', async () => {
+        const first = await request('/views');
+        const forged = sessionCookie(first.headers).replace(/.$/, '_');
+
+        const { body } = await request('/peek', forged);
+        assert.deepStrictEqual(body, { isNew: true, views: 0 });
+    });
+
+    it('should rotate the session on login', async () => {
+        const first = await request('/views');
+        const cookie = sessionCookie(first.headers);
+
+        const login = await request('/login', cookie, 'post');
+        const rotatedCookie = sessionCookie(login.headers);
+        assert.strictEqual(login.body.previousId, first.body.id);
+        assert.notStrictEqual(login.body.id, first.body.id);
+
+        const withOldCookie = await request('/peek', cookie);
+        assert.strictEqual(withOldCookie.body.isNew, true);
+
+        const withNewCookie = await request('/peek', rotatedCookie);
+        assert.deepStrictEqual(withNewCookie.body, { isNew: false, views: 1 });
+    });
+
+    it('should destroy the session on logout', async () => {
+        const first = await request('/views');
+        const cookie = sessionCookie(first.headers);
+
+        const logout = await request('/logout', cookie, 'post');
+        assert.strictEqual(
+            logout.headers['set-cookie'][0],
+            'sid=; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/; HttpOnly; SameSite=Lax',
+        );
+
+        const { body } = await request('/peek', cookie);
+        assert.strictEqual(body.isNew, true);
+    });
+
+    it('should use a custom store', async () => {
+        const calls = [];
+        const sessions = new Map();
+        const store = {
+            get: async (id) => {
+                calls.push('get');
+                return sessions.get(id);
+            },
+            set: async (id, data, maxAge) => {
+                calls.push(`set:${maxAge}`);
+                sessions.set(id, data);
+            },
+            destroy: async (id) => {
+                calls.push('destroy');
+                sessions.delete(id);
+            },
+        };
+
+        const storeApp = new AppExpress();
+        storeApp.session({
+            secret: 'store-secret',
+            store,
+            name: 'admin.sid',
+            cookie: { maxAge: 60_000 },
+        });
+        storeApp.get('/', (request, response) => {
+            request.session.set('user', 'itznotabug');
+            response.empty();
+        });
+
+        const { headers } = await storeApp.attach(createContext());
+        const cookie = headers['set-cookie'][0].split(';')[0];
+        assert.ok(cookie.startsWith('admin.sid='));
+
+        await storeApp.attach(createContext({ headers: { cookie } }));
+        assert.deepStrictEqual(calls, ['set:60000', 'get', 'set:60000']);
+    });
+
+    it('should save the session once if an interceptor fails', async () => {
+        const calls = [];
+        const store = {
+            get: async () => {
+                calls.push('get');
+                return { user: 'itznotabug' };
+            },
+            set: async () => calls.push('set'),
+            destroy: async () => calls.push('destroy'),
+        };
+
+        const failingApp = new AppExpress();
+        failingApp.session({ secret: 'failing-secret', store });
+        failingApp.middleware({
+            outgoing: (request) => {
+                if (request.path === '/login') throw new Error('failed');
+            },
+        });
+        failingApp.onError((error, request, response) =>
+            response.text(error.message, 500),
+        );
+        failingApp.get('/', (request, response) => {
+            request.session.set('user', 'itznotabug');
+            response.empty();
+        });
+        failingApp.get('/login', (request, response) => {
+            request.session.regenerate();
+            response.empty();
+        });
+
+        const first = await failingApp.attach(createContext());
+        const cookie = first.headers['set-cookie'][0].split(';')[0];
+        calls.length = 0;
+
+        const { body, headers } = await failingApp.attach(
+            createContext({ path: '/login', headers: { cookie } }),
+        );
+        assert.strictEqual(body, 'failed');
+        assert.strictEqual(headers['set-cookie'].length, 1);
+        assert.deepStrictEqual(calls, ['get', 'destroy', 'set']);
+    });
+
+    it('should remove the expired sessions of the memory store', async () => {
+        const store = new AppExpress.MemoryStore();
+        store.set('expiring', { user: 'a' }, 1);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+
+        store.set('active', { user: 'b' }, 60_000);
+        assert.strictEqual(store.size, 1);
+        assert.deepStrictEqual(store.get('active'), { user: 'b' });
+    });
+
+    it('should throw for sessions that are not enabled', async () => {
+        const plainApp = new AppExpress();
+        plainApp.get('/', (request) => request.session.set('a', 1));
+
+        const { body, statusCode } = await plainApp.attach(createContext());
+        assert.strictEqual(statusCode, 500);
+        assert.strictEqual(
+            body,
+            "No session found. Use 'AppExpress#session' to enable sessions.",
+        );
+    });
+});
+
+describe('Form bodies validation', () => {
+    const boundary = '----AppExpressBoundary7MA4YWxk';
+    const multipart = (parts) =>
+        Buffer.from(
+            parts
+                .map(
+                    ({ headers, content }) =>
+                        `--${boundary}\r\n${headers.join('\r\n')}\r\n\r\n${content}\r\n`,
+                )
+                .join('') + `--${boundary}--\r\n`,
+        );
+
+    const multipartContext = (path, body) =>
+        createContext({
+            path,
+            method: 'post',
+            headers: {
+                'content-type': `multipart/form-data; boundary=${boundary}`,
+            },
+            bodyBinary: body,
+        });
+
+    const uploadBody = multipart([
+        {
+            headers: ['Content-Disposition: form-data; name="title"'],
+            content: 'Quarterly report',
+        },
+        {
+            headers: ['Content-Disposition: form-data; name="tags"'],
+            content: 'finance',
+        },
+        {
+            headers: ['Content-Disposition: form-data; name="tags"'],
+            content: 'q3',
+        },
+        {
+            headers: [
+                'Content-Disposition: form-data; name="report"; filename="report.csv"',
+                'Content-Type: text/csv',
+            ],
+            content: 'month,total\r\njuly,42',
+        },
+        {
+            headers: [
+                `Content-Disposition: form-data; name="notes"; filename*=UTF-8''r%C3%A9sum%C3%A9.txt`,
+            ],
+            content: 'hello',
+        },
+    ]);
+
+    it('should parse url-encoded form fields', async () => {
+        const context = createContext({
+            path: '/forms/login',
+            method: 'post',
+            headers: {
+                'content-type':
+                    'application/x-www-form-urlencoded; charset=UTF-8',
+            },
+            bodyText: 'username=itz+not&remember=on&role=a&role=b',
+        });
+
+        const { body } = await index(context);
+        assert.deepStrictEqual(
+            { ...body },
+            {
+                username: 'itz not',
+                remember: 'on',
+                role: ['a', 'b'],
+            },
+        );
+    });
+
+    it('should keep fields named like object properties', async () => {
+        const context = createContext({
+            path: '/forms/login',
+            method: 'post',
+            headers: {
+                'content-type': 'application/x-www-form-urlencoded',
+            },
+            bodyText: 'constructor=x&__proto__=y&a=1',
+        });
+
+        const { body } = await index(context);
+        assert.strictEqual(Object.getPrototypeOf(body), null);
+        assert.deepStrictEqual(Object.entries(body), [
+            ['constructor', 'x'],
+            ['__proto__', 'y'],
+            ['a', '1'],
+        ]);
+    });
+
+    it('should not parse other content types as a form', async () => {
+        const context = createContext({
+            path: '/forms/login',
+            method: 'post',
+            headers: { 'content-type': 'application/json' },
+            bodyText: 'username=itznotabug',
+        });
+
+        const { body } = await index(context);
+        assert.deepStrictEqual(body, {});
+    });
+
+    it('should parse multipart fields and files', async () => {
+        const context = multipartContext('/forms/upload', uploadBody);
+        const { body } = await index(context);
+
+        assert.deepStrictEqual(
+            { ...body.fields },
+            {
+                title: 'Quarterly report',
+                tags: ['finance', 'q3'],
+            },
+        );
+        assert.deepStrictEqual(body.files, [
+            {
+                fieldName: 'report',
+                filename: 'report.csv',
+                mimeType: 'text/csv',
+                size: 20,
+                content: 'month,total\r\njuly,42',
+            },
+            {
+                fieldName: 'notes',
+                filename: 'résumé.txt',
+                mimeType: 'application/octet-stream',
+                size: 5,
+                content: 'hello',
+            },
+        ]);
+    });
+
+    it('should fail for a multipart body without a boundary', async () => {
+        const context = multipartContext('/forms/upload', uploadBody);
+        context.req.headers['content-type'] = 'multipart/form-data';
+
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 400);
+        assert.strictEqual(
+            body,
+            'Missing boundary in the multipart/form-data content type.',
+        );
+    });
+
+    it('should fail for a malformed multipart body', async () => {
+        const context = multipartContext(
+            '/forms/upload',
+            Buffer.from(
+                `--${boundary}\r\nContent-Disposition: form-data; name="a"`,
+            ),
+        );
+
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 400);
+        assert.strictEqual(body, 'Malformed multipart/form-data body.');
+    });
+
+    it('should use the status code carried by an error', async () => {
+        const app = new AppExpress();
+        app.get('/', () => {
+            const error = new Error('Gone for good.');
+            error.statusCode = 410;
+            throw error;
+        });
+
+        const { body, statusCode } = await app.attach(createContext());
+        assert.strictEqual(statusCode, 410);
+        assert.strictEqual(body, 'Gone for good.');
+    });
+
+    describe('with body limits', () => {
+        const app = new AppExpress();
+        app.bodyLimits({ fileSize: 8, fields: 3 });
+        app.post('/upload', (request, response) =>
+            response.json({ files: request.files.length }),
+        );
+
+        it('should reject files over the size limit', async () => {
+            const context = multipartContext('/upload', uploadBody);
+            const { body, statusCode } = await app.attach(context);
+            assert.strictEqual(statusCode, 413);
+            assert.strictEqual(
+                body,
+                "File 'report.csv' exceeds the size limit of 8 bytes.",
+            );
+        });
+
+        it('should reject too many fields', async () => {
+            const context = multipartContext(
+                '/upload',
+                multipart([
+                    {
+                        headers: ['Content-Disposition: form-data; name="a"'],
+                        content: '1',
+                    },
+                    {
+                        headers: ['Content-Disposition: form-data; name="b"'],
+                        content: '2',
+                    },
+                    {
+                        headers: ['Content-Disposition: form-data; name="c"'],
+                        content: '3',
+                    },
+                    {
+                        headers: ['Content-Disposition: form-data; name="d"'],
+                        content: '4',
+                    },
+                ]),
+            );
+            const { body, statusCode } = await app.attach(context);
+            assert.strictEqual(statusCode, 413);
+            assert.strictEqual(body, 'Too many fields, the limit is 3.');
+        });
+    });
+});
+
+describe('Schema validation', () => {
+    it('should coerce and default the query values', async () => {
+        const context = createContext({
+            path: '/validation/users',
+            query: { active: 'true', tags: 'admin,staff' },
+        });
+
+        const { body } = await index(context);
+        assert.deepStrictEqual(body, {
+            query: { limit: 20, active: true, tags: ['admin', 'staff'] },
+        });
+    });
+
+    it('should return a 400 with the query errors', async () => {
+        const context = createContext({
+            path: '/validation/users',
+            query: { limit: '500', active: 'maybe', sort: 'name' },
+        });
+
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 400);
+        assert.deepStrictEqual(body, {
+            error: 'Validation failed.',
+            errors: [
+                {
+                    location: 'query',
+                    field: 'limit',
+                    message: 'must be less than or equal to 100',
+                },
+                {
+                    location: 'query',
+                    field: 'active',
+                    message: 'must be a boolean',
+                },
+                {
+                    location: 'query',
+                    field: 'sort',
+                    message: 'is not allowed',
+                },
+            ],
+        });
+    });
+
+    it('should reject query keys named like object properties', async () => {
+        const context = createContext({
+            path: '/validation/users',
+            query: { constructor: 'x' },
+        });
+
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 400);
+        assert.deepStrictEqual(body.errors, [
+            {
+                location: 'query',
+                field: 'constructor',
+                message: 'is not allowed',
+            },
+        ]);
+    });
+
+    it('should validate router params and the body', async () => {
+        const order = {
+            email: 'hello@example.com',
+            items: [{ sku: 'rocket', quantity: 2 }],
+        };
+        const context = createContext({
+            path: '/validation/orders/42',
+            method: 'post',
+            body: order,
+        });
+
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 200);
+        assert.deepStrictEqual(body, { params: { id: 42 }, body: order });
+    });
+
+    it('should report nested body errors without coercion', async () => {
+        const context = createContext({
+            path: '/validation/orders/abc',
+            method: 'post',
+            body: { email: 'nope', items: [{ sku: 'rocket', quantity: '2' }] },
+        });
+
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 400);
+        assert.deepStrictEqual(body.errors, [
+            { location: 'params', field: 'id', message: 'must be an integer' },
+            {
+                location: 'body',
+                field: 'email',
+                message: 'must be a valid email',
+            },
+            {
+                location: 'body',
+                field: 'items.0.quantity',
+                message: 'must be an integer',
+            },
+        ]);
+    });
+    it('should validate a form body regardless of the content type case', async () => {
+        const app = new AppExpress();
+        app.post(
+            '/orders',
+            AppExpress.validate({
+                body: {
+                    type: 'object',
+                    properties: { quantity: { type: 'integer' } },
+                    required: ['quantity'],
+                },
+            }),
+            (request, response) => response.json(request.validated()),
+        );
+
+        const context = createContext({
+            path: '/orders',
+            method: 'post',
+            headers: {
+                'content-type':
+                    'Application/X-WWW-Form-Urlencoded; charset=UTF-8',
+            },
+            bodyText: 'quantity=2',
+        });
+
+        const { body, statusCode } = await app.attach(context);
+        assert.strictEqual(statusCode, 200);
+        assert.deepStrictEqual({ ...body.body }, { quantity: 2 });
+    });
+});
+
+describe('Event triggers validation', () => {
+    const eventContext = (event) =>
+        createContext({
+            method: 'post',
+            headers: {
+                'x-appwrite-trigger': 'event',
+                'x-appwrite-event': event,
+            },
+        });
+
+    it('should prefer the event pattern with more static segments', async () => {
+        const context = eventContext(
+            'databases.shop.collections.orders.documents.a4d3b4a80.create',
+        );
+        const { body } = await index(context);
+        assert.deepStrictEqual(body, {
+            handler: 'orders',
+            params: {
+                databases: 'shop',
+                collections: 'orders',
+                documents: 'a4d3b4a80',
+            },
+        });
+    });
+
+    it('should match wildcard event segments', async () => {
+        const context = eventContext(
+            'databases.shop.collections.carts.documents.c8e1f2.delete',
+        );
+        const { body } = await index(context);
+        assert.deepStrictEqual(body, {
+            handler: 'documents',
+            params: {
+                databases: 'shop',
+                collections: 'carts',
+                documents: 'c8e1f2',
+            },
+        });
+    });
+
+    it('should run event middlewares and extract named params', async () => {
+        const context = eventContext('buckets.avatars.files.f1e2d3.update');
+        const { body, headers } = await index(context);
+        assert.strictEqual(headers['x-event-middleware'], 'true');
+        assert.deepStrictEqual(body, {
+            handler: 'files',
+            params: { buckets: 'avatars', files: 'f1e2d3', fileId: 'f1e2d3' },
+        });
+    });
+
+    it('should parse the event resource with a nested action', async () => {
+        const membership = { $id: 'm1', teamId: 't1', roles: ['owner'] };
+        const context = eventContext('teams.t1.memberships.m1.update.status');
+        context.req.body = membership;
+
+        const { body } = await index(context);
+        assert.deepStrictEqual(body, {
+            kind: 'membership',
+            action: 'update.status',
+            id: 'm1',
+            ids: { team: 't1', membership: 'm1' },
+            payload: membership,
+        });
+    });
+
+    it('should return the event payload', async () => {
+        const context = eventContext('functions.f1.executions.e1.create');
+        context.req.body = { $id: 'e1', status: 'completed' };
+
+        const { body } = await index(context);
+        assert.strictEqual(body.status, 'completed');
+        assert.strictEqual(body.resource.kind, 'execution');
+        assert.strictEqual(body.resource.action, 'create');
+        assert.deepStrictEqual(body.resource.ids, {
+            function: 'f1',
+            execution: 'e1',
+        });
+    });
+
+    it('should match exactly one segment with an unnamed wildcard', async () => {
+        const context = eventContext(
+            'databases.a.b.collections.orders.documents.d.create',
+        );
+        const { body } = await index(context);
+        assert.strictEqual(
+            body,
+            'unhandled event databases.a.b.collections.orders.documents.d.create',
+        );
+    });
+
+    it('should use the fallback for unhandled events', async () => {
+        const context = eventContext('users.u1.sessions.s1.create');
+        const { body } = await index(context);
+        assert.strictEqual(body, 'unhandled event users.u1.sessions.s1.create');
+    });
+
+    it('should route http requests by path', async () => {
+        const context = createContext({
+            path: '/patterns/posts/42',
+            headers: { 'x-appwrite-trigger': 'http' },
+        });
+        const { body } = await index(context);
+        assert.strictEqual(body, 'post-42');
+    });
+});
+
+describe('Scheduled jobs validation', () => {
+    const scheduleContext = (path = '/', headers = {}) =>
+        createContext({
+            path,
+            method: 'post',
+            headers: { 'x-appwrite-trigger': 'schedule', ...headers },
+        });
+
+    it('should run the unnamed job and return a summary', async () => {
+        const context = scheduleContext();
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(body.job, 'default');
+        assert.strictEqual(body.status, 'completed');
+        assert.deepStrictEqual(body.result, { cleaned: 3 });
+        assert.strictEqual(typeof body.duration, 'number');
+        assert.ok(!Number.isNaN(Date.parse(body.startedAt)));
+    });
+
+    it('should select a named job by the path', async () => {
+        const context = scheduleContext('/reports/daily');
+        const { body } = await index(context);
+        assert.strictEqual(body.job, 'reports/daily');
+        assert.deepStrictEqual(body.result, { sent: 12 });
+    });
+
+    it('should select a named job by the header', async () => {
+        const context = scheduleContext('/', {
+            'x-appexpress-job': 'reports/daily',
+        });
+        const { body } = await index(context);
+        assert.strictEqual(body.job, 'reports/daily');
+    });
+
+    it('should let a job middleware prepare the response', async () => {
+        const context = scheduleContext('/reports/daily', {
+            'x-reports-disabled': 'true',
+        });
+        const { body } = await index(context);
+        assert.deepStrictEqual(body, { skipped: true });
+    });
+
+    it('should log a failed job and skip the error handlers', async () => {
+        const errors = [];
+        const context = scheduleContext('/errors/job');
+        context.error = (message) => errors.push(`${message}`);
+
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 500);
+        assert.strictEqual(body.status, 'failed');
+        assert.strictEqual(body.error, 'Database unavailable');
+        assert.ok(
+            errors.some((error) => error.includes('Database unavailable')),
+        );
+    });
+
+    it('should return a 404 summary for an unknown job', async () => {
+        const context = scheduleContext('/unknown');
+        const { body, statusCode } = await index(context);
+        assert.strictEqual(statusCode, 404);
+        assert.strictEqual(body.error, "No job registered for 'unknown'.");
+    });
+});
+
+describe('Clean URLs validation', () => {
+    it(`should return index.html content on requesting just index path`, async () => {
+        const indexHtml = `${publicDir}/index.html`;
+        const indexContent = fs.readFileSync(indexHtml, 'utf8');
+
+        const context = createContext({
+            path: '/index',
+        });
+
+        const { body } = await index(context);
+        assert.strictEqual(body, indexContent);
+    });
+
+    it(`should return robots.txt content on requesting just the robots path`, async () => {
+        const robotsFile = `${publicDir}/robots.txt`;
+        const robotsFileContent = fs.readFileSync(robotsFile, 'utf8');
+
+        const context = createContext({
+            path: '/robots',
+        });
+
+        const { body } = await index(context);
+        assert.strictEqual(body, robotsFileContent);
+    });
+
+    it(`should return ads.txt content on requesting just the ads path`, async () => {
+        const robotsFile = `${publicDir}/ads.txt`;
+        const robotsFileContent = fs.readFileSync(robotsFile, 'utf8');
+
+        const context = createContext({
+            path: '/ads',
+        });
+
+        const { body } = await index(context);
+        assert.strictEqual(body, robotsFileContent);
+    });
+});
+
+describe('Index file fallback validation', () => {
+    it(`should return contact/index.html content on requesting just contact path`, async () => {
         const indexHtml = `${publicDir}/contact/index.html`;
         const indexContent = fs.readFileSync(indexHtml, 'utf8');
 
@@ -520,3 +2808,38 @@ describe('Index file fallback validation', () => {
         assert.strictEqual(body, indexContent);
     });
 });
+
+describe('Error handlers validation', () => {
+    [
+        { path: '/errors/route', message: 'route failed' },
+        { path: '/errors/async', message: 'async route failed' },
+        { path: '/errors/rethrow', message: 'rethrown' },
+        // interceptors are skipped if one of them failed.
+        {
+            path: '/errors/outgoing',
+            message: 'outgoing failed',
+            intercepted: false,
+        },
+    ].forEach(({ path, message, intercepted = true }) => {
+        it(`should return a custom error response for ${path}`, async () => {
+            const context = createContext({ path });
+            const { body, statusCode, headers } = await index(context);
+
+            assert.strictEqual(statusCode, 500);
+            assert.deepStrictEqual(body, { message, path });
+            assert.strictEqual(
+                headers['X-Powered-By'],
+                intercepted ? 'AppExpress' : undefined,
+            );
+        });
+    });
+
+    it('should return a plain-text 500 when no handler responds', async () => {
+        const context = createContext({ path: '/console' });
+        const { body, statusCode, headers } = await index(context);
+
+        assert.strictEqual(statusCode, 500);
+        assert.strictEqual(headers['content-type'], 'text/plain');
+        assert.strictEqual(body, 'No JWT Token found, aborting the requests.');
+    });
+});
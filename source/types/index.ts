@@ -1,5 +1,8 @@
 /** TypeScript type definitions for AppExpress based on Appwrite runtime */
 
+import type RouteMatcher from '../utils/matcher.js';
+import type AppExpressSession from '../session.js';
+
 /**
  * The request object structure from Appwrite runtime server.js
  */
@@ -36,6 +39,12 @@ export interface AppwriteRequest {
     params?: Record<string, string>;
     /** Dependencies registry (added by AppExpress) */
     _dependencies?: InjectionRegistry;
+    /** Body parser limits (added by AppExpress) */
+    _bodyLimits?: AppExpressBodyLimits;
+    /** Secrets for signing cookies, the first one signs (added by AppExpress) */
+    _cookieSecrets?: string[];
+    /** The session of the request (added by AppExpress) */
+    _session?: AppExpressSession;
 }
 
 /**
@@ -115,7 +124,7 @@ export interface AppwriteResponseObject {
         | Record<string, unknown>
         | Promise<Buffer | string | Record<string, unknown>>;
     statusCode: number;
-    headers: Record<string, string | number | boolean>;
+    headers: Record<string, string | number | boolean | string[]>;
 }
 
 /**
@@ -132,6 +141,349 @@ export interface AppwriteContext {
     error: (...messages: unknown[]) => void;
 }
 
+/**
+ * The kinds of Appwrite resources that trigger events
+ */
+export type AppwriteResourceKind =
+    | 'database'
+    | 'collection'
+    | 'document'
+    | 'attribute'
+    | 'index'
+    | 'table'
+    | 'row'
+    | 'column'
+    | 'bucket'
+    | 'file'
+    | 'user'
+    | 'session'
+    | 'recovery'
+    | 'verification'
+    | 'team'
+    | 'membership'
+    | 'function'
+    | 'deployment'
+    | 'execution';
+
+/**
+ * The properties shared by all Appwrite resources
+ */
+export interface AppwriteModel {
+    /** The resource ID */
+    $id: string;
+    /** The creation date in ISO 8601 format */
+    $createdAt: string;
+    /** The update date in ISO 8601 format */
+    $updatedAt: string;
+    /** The permissions of the resource, if it supports permissions */
+    $permissions?: string[];
+}
+
+/**
+ * A document of a database collection
+ */
+export interface AppwriteDocument extends AppwriteModel {
+    /** The collection ID */
+    $collectionId: string;
+    /** The database ID */
+    $databaseId: string;
+    /** The attributes of the document */
+    [attribute: string]: unknown;
+}
+
+/**
+ * A file of a storage bucket
+ */
+export interface AppwriteFile extends AppwriteModel {
+    /** The bucket ID */
+    bucketId: string;
+    /** The file name */
+    name: string;
+    /** The file hash signature */
+    signature: string;
+    /** The file mime type */
+    mimeType: string;
+    /** The file original size in bytes */
+    sizeOriginal: number;
+    /** The total number of chunks */
+    chunksTotal: number;
+    /** The number of chunks uploaded */
+    chunksUploaded: number;
+}
+
+/**
+ * A user of the project
+ */
+export interface AppwriteUser extends AppwriteModel {
+    /** The user name */
+    name: string;
+    /** The user email address */
+    email: string;
+    /** The user phone number in E.164 format */
+    phone: string;
+    /** Whether the user is active, `false` if blocked */
+    status: boolean;
+    /** The labels of the user */
+    labels: string[];
+    /** The user preferences */
+    prefs: Record<string, unknown>;
+    /** Whether the email is verified */
+    emailVerification: boolean;
+    /** Whether the phone is verified */
+    phoneVerification: boolean;
+    /** Whether multi factor authentication is enabled */
+    mfa: boolean;
+    /** The registration date in ISO 8601 format */
+    registration: string;
+    /** The date of the most recent password update in ISO 8601 format */
+    passwordUpdate: string;
+    /** The date of the most recent access in ISO 8601 format */
+    accessedAt: string;
+}
+
+/**
+ * A session of a user
+ */
+export interface AppwriteSession extends AppwriteModel {
+    /** The user ID */
+    userId: string;
+    /** The session expiry date in ISO 8601 format */
+    expire: string;
+    /** The session provider, like `email` or `anonymous` */
+    provider: string;
+    /** The client IP address */
+    ip: string;
+    /** Whether the session is the current one */
+    current: boolean;
+}
+
+/**
+ * A team of the project
+ */
+export interface AppwriteTeam extends AppwriteModel {
+    /** The team name */
+    name: string;
+    /** The number of members */
+    total: number;
+    /** The team preferences */
+    prefs: Record<string, unknown>;
+}
+
+/**
+ * A membership of a user in a team
+ */
+export interface AppwriteMembership extends AppwriteModel {
+    /** The user ID */
+    userId: string;
+    /** The user name */
+    userName: string;
+    /** The user email address */
+    userEmail: string;
+    /** The team ID */
+    teamId: string;
+    /** The team name */
+    teamName: string;
+    /** The date the user was invited in ISO 8601 format */
+    invited: string;
+    /** The date the user joined in ISO 8601 format */
+    joined: string;
+    /** Whether the user confirmed the invitation */
+    confirm: boolean;
+    /** The roles of the user in the team */
+    roles: string[];
+}
+
+/**
+ * An execution of a function
+ */
+export interface AppwriteExecution extends AppwriteModel {
+    /** The function ID */
+    functionId: string;
+    /** The trigger of the execution */
+    trigger: 'http' | 'schedule' | 'event';
+    /** The status of the execution */
+    status: 'waiting' | 'processing' | 'completed' | 'failed';
+    /** The HTTP method of the request */
+    requestMethod: string;
+    /** The path of the request */
+    requestPath: string;
+    /** The HTTP status code of the response */
+    responseStatusCode: number;
+    /** The execution duration in seconds */
+    duration: number;
+    /** The logs of the execution */
+    logs: string;
+    /** The errors of the execution */
+    errors: string;
+}
+
+/**
+ * The resource an Appwrite event was triggered for
+ */
+export interface AppExpressEventResource<
+    T extends AppwriteModel = AppwriteModel,
+> {
+    /** The kind of the resource. Example : `document` for document events */
+    kind: AppwriteResourceKind | (string & {});
+    /** The action of the event. Example : `create` or `update.email` */
+    action: string;
+    /** The ID of the resource */
+    id: string;
+    /** The IDs of the resource & its parents in order, keyed by their kind. Example : `{ database, collection, document }` */
+    ids: Record<string, string>;
+    /** The resource as sent in the event payload */
+    payload: T;
+}
+
+/**
+ * A file uploaded with a `multipart/form-data` request
+ */
+export interface AppExpressUploadedFile {
+    /** The name of the form field */
+    fieldName: string;
+    /** The name of the file on the client */
+    filename: string;
+    /** The mime type sent by the client */
+    mimeType: string;
+    /** The size of the file in bytes */
+    size: number;
+    /** The contents of the file */
+    buffer: Buffer;
+}
+
+/**
+ * The limits applied when parsing form bodies
+ */
+export interface AppExpressBodyLimits {
+    /** The maximum number of fields */
+    fields: number;
+    /** The maximum size of a field value in bytes */
+    fieldSize: number;
+    /** The maximum number of files */
+    files: number;
+    /** The maximum size of a file in bytes */
+    fileSize: number;
+}
+
+/**
+ * The options of a public directory served via `AppExpress#static`
+ */
+export interface AppExpressStaticOptions {
+    /** Names or regex patterns of the files & directories to exclude */
+    exclude?: (string | RegExp)[];
+    /** The `max-age` of the `cache-control` header in milliseconds, no header is sent for `0` */
+    maxAge?: number;
+    /** Names or regex patterns of the files that never change, like hashed builds, cached for a year */
+    immutable?: (string | RegExp)[];
+    /** The maximum size in bytes of the files & their compressed variants kept in memory, `0` disables the cache */
+    cacheSize?: number;
+    /** Whether to serve `.br` & `.gz` sidecar files, like `app.js.br` for `app.js`, if present */
+    precompressed?: boolean;
+    /** The path to serve the files under. Example : `/assets` serves `dist/app.js` at `/assets/app.js` */
+    prefix?: string;
+    /** The file served for unknown `GET` paths accepting HTML, like the `index.html` of a single page app */
+    fallback?: string;
+    /** The path prefixes never served the fallback, like `/api` */
+    fallbackExclude?: string[];
+    /** Whether to list the contents of directories without an index file, as HTML or JSON if negotiated */
+    autoindex?: boolean;
+}
+
+/**
+ * An entry of a directory listing, see `AppExpressStaticOptions#autoindex`
+ */
+export interface AppExpressDirectoryEntry {
+    /** The name of the file or the directory */
+    name: string;
+    /** Whether the entry is a file or a directory */
+    type: 'directory' | 'file';
+    /** The size of a file in bytes, `0` for directories */
+    size: number;
+    /** The modification time as an ISO string */
+    modified: string;
+}
+
+/**
+ * The attributes of a cookie set via `response.cookie`
+ */
+export interface AppExpressCookieOptions {
+    /** The lifetime of the cookie in milliseconds */
+    maxAge?: number;
+    /** The expiry date of the cookie */
+    expires?: Date;
+    /** The domain the cookie is sent to */
+    domain?: string;
+    /** The path the cookie is sent to, `/` by default */
+    path?: string;
+    /** Whether the cookie is hidden from client-side scripts */
+    httpOnly?: boolean;
+    /** Whether the cookie is only sent over HTTPS */
+    secure?: boolean;
+    /** Whether the cookie is sent with cross-site requests, `true` means `strict` */
+    sameSite?: boolean | 'strict' | 'lax' | 'none';
+    /** Whether the cookie is stored per top-level site */
+    partitioned?: boolean;
+    /** Whether to sign the value with the secret set via `AppExpress#cookieSecret` */
+    signed?: boolean;
+}
+
+/**
+ * The data stored for a session
+ */
+export type AppExpressSessionData = Record<string, unknown>;
+
+/**
+ * Stores the session data, can be backed by a database like an Appwrite collection
+ *
+ * ```typescript
+ * const store: AppExpressSessionStore = {
+ *     get: async (id) => {
+ *         const document = await databases.getDocument('main', 'sessions', id).catch(() => undefined);
+ *         if (!document || Date.parse(document.expires) <= Date.now()) return undefined;
+ *         return JSON.parse(document.data);
+ *     },
+ *     set: async (id, data, maxAge) => {
+ *         const session = { data: JSON.stringify(data), expires: new Date(Date.now() + maxAge).toISOString() };
+ *         await databases.upsertDocument('main', 'sessions', id, session);
+ *     },
+ *     destroy: async (id) => {
+ *         await databases.deleteDocument('main', 'sessions', id).catch(() => undefined);
+ *     },
+ * };
+ * ```
+ */
+export interface AppExpressSessionStore {
+    /** Get the data of a session, `undefined` if it does not exist or has expired */
+    get(
+        id: string,
+    ):
+        | AppExpressSessionData
+        | undefined
+        | Promise<AppExpressSessionData | undefined>;
+    /** Save the data of a session for `maxAge` milliseconds */
+    set(
+        id: string,
+        data: AppExpressSessionData,
+        maxAge: number,
+    ): void | Promise<void>;
+    /** Delete a session */
+    destroy(id: string): void | Promise<void>;
+}
+
+/**
+ * The options for sessions
+ */
+export interface AppExpressSessionOptions {
+    /** The secret for signing the session cookie, pass multiple secrets to rotate them */
+    secret: string | string[];
+    /** The store for the session data, an in-memory store by default */
+    store?: AppExpressSessionStore;
+    /** The name of the session cookie, `sid` by default */
+    name?: string;
+    /** The attributes of the session cookie, `httpOnly` & `sameSite: 'lax'` with a `maxAge` of a day by default */
+    cookie?: AppExpressCookieOptions;
+}
+
 /**
  * Forward declaration for AppExpress classes
  */
@@ -141,19 +493,40 @@ export interface AppExpressRequest {
     readonly body: Record<string, unknown>;
     readonly bodyJson: Record<string, unknown>;
     readonly bodyBinary: Buffer;
+    readonly form: Record<string, string | string[]>;
+    readonly fields: Record<string, string | string[]>;
+    readonly files: AppExpressUploadedFile[];
     readonly headers: Record<string, string>;
+    readonly cookies: Record<string, string>;
+    readonly signedCookies: Record<string, string | false>;
+    readonly session: AppExpressSession;
     readonly scheme: string;
     readonly method: string;
     readonly url: string;
     readonly host: string;
     readonly port: number;
     readonly path: string;
+    readonly baseUrl: string;
     readonly queryString: string;
     readonly params: Record<string, string>;
     readonly query: Record<string, string>;
     readonly triggeredType: 'event' | 'http' | 'schedule';
+    readonly event: string | undefined;
     readonly events: Record<string, string> | undefined;
     readonly eventType: string | undefined;
+    eventPayload<T = Record<string, unknown>>(): T | undefined;
+    eventResource<T extends AppwriteModel = AppwriteModel>():
+        | AppExpressEventResource<T>
+        | undefined;
+    accepts(): string[];
+    accepts(types: string | string[]): string | false;
+    acceptsLanguages(): string[];
+    acceptsLanguages(languages: string | string[]): string | false;
+    acceptsEncodings(): string[];
+    acceptsEncodings(encodings: string | string[]): string | false;
+    validated<
+        S extends AppExpressValidationSchemas = AppExpressValidationSchemas,
+    >(): AppExpressValidated<S>;
     retrieve<T>(type: new (...args: unknown[]) => T, identifier?: string): T;
     dump(): string;
 }
@@ -161,9 +534,20 @@ export interface AppExpressRequest {
 export interface AppExpressResponse {
     setHeaders(headers: Record<string, string | number | boolean>): void;
     clearHeaders(): void;
+    status(statusCode: number): AppExpressResponse;
+    location(url: string): AppExpressResponse;
+    format(handlers: Record<string, () => unknown>): unknown;
+    attachment(filename?: string): AppExpressResponse;
+    download(filePath: string, filename?: string, statusCode?: number): void;
+    cookie(
+        name: string,
+        value: string,
+        options?: AppExpressCookieOptions,
+    ): void;
+    clearCookie(name: string, options?: AppExpressCookieOptions): void;
     empty(): void;
     json(data: unknown, statusCode?: number): void;
-    redirect(url: string): void;
+    redirect(url: string, statusCode?: number): void;
     text(content: unknown, statusCode?: number, contentType?: string): void;
     send(content: unknown, statusCode?: number, contentType?: string): void;
     binary(
@@ -188,11 +572,22 @@ export type AppExpressRequestHandler = (
     error: (...messages: unknown[]) => void,
 ) => unknown;
 
+/**
+ * Represents a function that handles errors thrown while processing AppExpress requests
+ */
+export type AppExpressErrorHandler = (
+    err: unknown,
+    request: AppExpressRequest,
+    response: AppExpressResponse,
+    log: (...messages: unknown[]) => void,
+    error: (...messages: unknown[]) => void,
+) => unknown;
+
 /**
  * Represents a function that allows intercepting, modifying or updating AppExpress responses
  */
 export interface AppExpressResponseInterceptor {
-    /** The processed response body. Note: The contents of the body are not compressed yet. */
+    /** The processed response body. Note: The contents of the body are not compressed yet, unless a `content-encoding` header is set, like for static files. */
     body:
         | string
         | Buffer
@@ -201,7 +596,7 @@ export interface AppExpressResponseInterceptor {
     /** The statusCode of the response. */
     statusCode: number;
     /** The headers added to the response. */
-    headers: Record<string, string | number | boolean>;
+    headers: Record<string, string | number | boolean | string[]>;
 }
 
 /**
@@ -214,6 +609,206 @@ export type AppExpressResponseHandler = (
     error: (...messages: unknown[]) => void,
 ) => void | Promise<void>;
 
+/**
+ * Represents a function that continues with the rest of the middleware chain and the route handler.\
+ * Resolves with the prepared response, if any.
+ */
+export type AppExpressNextFunction = () => Promise<
+    AppExpressResponseInterceptor | undefined
+>;
+
+/**
+ * Represents a middleware that wraps the rest of the middleware chain and the route handler
+ */
+export type AppExpressAroundHandler = (
+    request: AppExpressRequest,
+    response: AppExpressResponse,
+    next: AppExpressNextFunction,
+    log: (...messages: unknown[]) => void,
+    error: (...messages: unknown[]) => void,
+) => unknown;
+
+/**
+ * Represents a middleware, either an incoming request handler or a set of handlers
+ */
+export type AppExpressMiddleware =
+    | AppExpressRequestHandler
+    | {
+          /** Runs before the route handler, continues the chain unless it prepares a response */
+          incoming?: AppExpressRequestHandler;
+          /** Intercepts the prepared response */
+          outgoing?: AppExpressResponseHandler;
+          /** Wraps the rest of the chain and the route handler */
+          around?: AppExpressAroundHandler;
+      };
+
+/**
+ * The response returned for a scheduled execution, unless the job prepares its own response
+ */
+export interface AppExpressJobSummary {
+    /** The name of the job, `default` for the unnamed one */
+    job: string;
+    /** Whether the job completed or failed */
+    status: 'completed' | 'failed';
+    /** The time the job started at, in ISO format */
+    startedAt: string;
+    /** The time the job took, in milliseconds */
+    duration: number;
+    /** The value returned by the job handler, if any */
+    result?: unknown;
+    /** The error message if the job failed */
+    error?: string;
+}
+
+/**
+ * The properties shared by all schemas
+ */
+interface AppExpressBaseSchema {
+    /** The value to use if the value is missing */
+    default?: unknown;
+    /** A description of the value, for documentation only */
+    description?: string;
+}
+
+/**
+ * A schema for string values
+ */
+export interface AppExpressStringSchema extends AppExpressBaseSchema {
+    type: 'string';
+    /** The minimum length of the string */
+    minLength?: number;
+    /** The maximum length of the string */
+    maxLength?: number;
+    /** A regular expression the string must match */
+    pattern?: string | RegExp;
+    /** A format the string must follow */
+    format?: 'email' | 'uuid' | 'date-time' | 'uri';
+    /** The allowed values */
+    enum?: readonly string[];
+}
+
+/**
+ * A schema for number values, `integer` only allows whole numbers
+ */
+export interface AppExpressNumberSchema extends AppExpressBaseSchema {
+    type: 'number' | 'integer';
+    /** The minimum value, inclusive */
+    minimum?: number;
+    /** The maximum value, inclusive */
+    maximum?: number;
+}
+
+/**
+ * A schema for boolean values
+ */
+export interface AppExpressBooleanSchema extends AppExpressBaseSchema {
+    type: 'boolean';
+}
+
+/**
+ * A schema for arrays
+ */
+export interface AppExpressArraySchema extends AppExpressBaseSchema {
+    type: 'array';
+    /** The schema of the items */
+    items: AppExpressSchema;
+    /** The minimum number of items */
+    minItems?: number;
+    /** The maximum number of items */
+    maxItems?: number;
+}
+
+/**
+ * A schema for objects
+ */
+export interface AppExpressObjectSchema extends AppExpressBaseSchema {
+    type: 'object';
+    /** The schemas of the properties */
+    properties?: Readonly<Record<string, AppExpressSchema>>;
+    /** The properties that must be present */
+    required?: readonly string[];
+    /** Whether properties without a schema are allowed, `true` by default */
+    additionalProperties?: boolean;
+}
+
+/**
+ * A subset of the JSON Schema for validating request values
+ */
+export type AppExpressSchema =
+    | AppExpressStringSchema
+    | AppExpressNumberSchema
+    | AppExpressBooleanSchema
+    | AppExpressArraySchema
+    | AppExpressObjectSchema;
+
+/**
+ * The schemas for the parts of a request
+ */
+export interface AppExpressValidationSchemas {
+    /** The schema of the parsed body */
+    body?: AppExpressObjectSchema;
+    /** The schema of the query params */
+    query?: AppExpressObjectSchema;
+    /** The schema of the route params */
+    params?: AppExpressObjectSchema;
+}
+
+/**
+ * An error for a value that does not match its schema
+ */
+export interface AppExpressValidationError {
+    /** The part of the request the value is in */
+    location: 'body' | 'query' | 'params';
+    /** The path of the value, dot separated. Example : `items.0.name` */
+    field: string;
+    /** The error message. Example : `must be a number` */
+    message: string;
+}
+
+/**
+ * The type of the values described by a schema
+ */
+export type AppExpressInfer<S> = S extends {
+    type: 'string';
+    enum: readonly (infer E)[];
+}
+    ? E
+    : S extends { type: 'string' }
+      ? string
+      : S extends { type: 'number' | 'integer' }
+        ? number
+        : S extends { type: 'boolean' }
+          ? boolean
+          : S extends { type: 'array'; items: infer I }
+            ? AppExpressInfer<I>[]
+            : S extends { type: 'object'; properties: infer P }
+              ? {
+                    [K in keyof P as K extends AppExpressRequired<S>
+                        ? K
+                        : never]: AppExpressInfer<P[K]>;
+                } & {
+                    [K in keyof P as K extends AppExpressRequired<S>
+                        ? never
+                        : K]?: AppExpressInfer<P[K]>;
+                } & Record<string, unknown>
+              : unknown;
+
+/**
+ * The names of the required properties of an object schema
+ */
+type AppExpressRequired<S> = S extends { required: readonly (infer R)[] }
+    ? R
+    : never;
+
+/**
+ * The parsed values of a validated request
+ */
+export type AppExpressValidated<
+    S extends AppExpressValidationSchemas = AppExpressValidationSchemas,
+> = {
+    [K in keyof S]: AppExpressInfer<S[K]>;
+};
+
 /**
  * Manages and tracks dependency injections, mapping unique identifiers to their respective instances and types
  */
@@ -223,11 +818,13 @@ export type InjectionRegistry = Map<
 >;
 
 /**
- * Represents a function that allows a user to use a custom compression for HTTP responses
+ * A custom compression for a single encoding
  */
-export interface CompressionHandler {
-    /** The list of encodings that the handler supports */
-    encodings: Set<string>;
+export interface CompressionEncoder {
+    /** The name of the encoding. Example : `zstd` */
+    encoding: string;
+    /** The priority among the encodings the client accepts equally, higher is preferred. Defaults to `0` */
+    priority?: number;
     /** Function to compress data */
     compress: (
         buffer: Buffer,
@@ -237,25 +834,69 @@ export interface CompressionHandler {
 }
 
 /**
- * Stores Maps of URL paths to handler functions for different HTTP request methods
+ * Represents a function that allows a user to use a custom compression for HTTP responses.\
+ * Use `encoders` for several encodings with their own compression & priority.
+ */
+export type CompressionHandler =
+    | {
+          /** The compressions for the encodings, the built-in ones are used for the other encodings */
+          encoders: CompressionEncoder[];
+      }
+    | {
+          /** The list of encodings that the handler supports */
+          encodings: Set<string>;
+          /** Function to compress data, for all the encodings */
+          compress: CompressionEncoder['compress'];
+      };
+
+/**
+ * The options of the built-in compression
+ */
+export interface CompressionOptions {
+    /** The brotli quality, between `1` & `11`. Defaults to `11` */
+    br?: number;
+    /** The gzip level, between `1` & `9`. Defaults to `6` */
+    gzip?: number;
+    /** The deflate level, between `1` & `9`. Defaults to `6` */
+    deflate?: number;
+    /** The minimum size in bytes of a body to compress. Defaults to `1024` */
+    threshold?: number;
+    /** Whether to lower the levels for large bodies, like brotli quality `5` above 1 MB. Defaults to `true` */
+    adaptive?: boolean;
+    /** The maximum total size in bytes of the compressed bodies kept in memory, `0` disables the cache. Defaults to `0` */
+    cacheSize?: number;
+}
+
+/**
+ * Stores Maps of URL paths to handler functions for different HTTP request methods.\
+ * The last handler of a path is the route handler, the ones before it are its middlewares.
  */
 export interface AppExpressRequestMethods {
     /** Map for GET request handlers */
-    get: Map<string, AppExpressRequestHandler>;
+    get: Map<string, AppExpressRequestHandler[]>;
     /** Map for POST request handlers */
-    post: Map<string, AppExpressRequestHandler>;
+    post: Map<string, AppExpressRequestHandler[]>;
     /** Map for PUT request handlers */
-    put: Map<string, AppExpressRequestHandler>;
+    put: Map<string, AppExpressRequestHandler[]>;
     /** Map for PATCH request handlers */
-    patch: Map<string, AppExpressRequestHandler>;
+    patch: Map<string, AppExpressRequestHandler[]>;
     /** Map for DELETE request handlers */
-    delete: Map<string, AppExpressRequestHandler>;
+    delete: Map<string, AppExpressRequestHandler[]>;
     /** Map for OPTIONS request handlers */
-    options: Map<string, AppExpressRequestHandler>;
+    options: Map<string, AppExpressRequestHandler[]>;
     /** Map for handlers that apply to ALL request methods */
-    all: Map<string, AppExpressRequestHandler>;
+    all: Map<string, AppExpressRequestHandler[]>;
 }
 
+/**
+ * Stores the compiled routes for each HTTP request method
+ */
+export type AppExpressRouteMatchers = {
+    [method in keyof AppExpressRequestMethods]: RouteMatcher<
+        AppExpressRequestHandler[]
+    >;
+};
+
 /**
  * Stores a file extension and an engine's function call to render content
  */
@@ -0,0 +1,248 @@
+/** Request body parsers for AppExpress */
+
+import type {
+    AppExpressBodyLimits,
+    AppExpressUploadedFile,
+} from '../types/index.js';
+
+/**
+ * The limits used if the application does not set its own.
+ */
+export const defaultBodyLimits: AppExpressBodyLimits = {
+    fields: 100,
+    fieldSize: 1024 * 1024,
+    files: 10,
+    fileSize: 10 * 1024 * 1024,
+};
+
+/**
+ * Thrown if a body is malformed, answered with a `400 Bad Request` unless an error handler responds.
+ */
+export class BodyError extends Error {
+    /** The HTTP status code of the error response */
+    readonly statusCode: number;
+
+    constructor(message: string, statusCode: number = 400) {
+        super(message);
+        this.name = 'BodyError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Thrown if a body exceeds a limit, answered with a `413 Payload Too Large` unless an error handler responds.
+ */
+export class BodyLimitError extends BodyError {
+    constructor(message: string) {
+        super(message, 413);
+        this.name = 'BodyLimitError';
+    }
+}
+
+/**
+ * The parsed parts of a `multipart/form-data` body.
+ */
+export interface MultipartBody {
+    /** The text fields, repeated names are collected into an array */
+    fields: Record<string, string | string[]>;
+    /** The uploaded files, in the order they were sent */
+    files: AppExpressUploadedFile[];
+}
+
+/**
+ * Parse an `application/x-www-form-urlencoded` body.
+ *
+ * @param body - The raw body.
+ * @param limits - The limits for the number & the size of the fields.
+ * @returns The fields, repeated names are collected into an array.
+ * @throws If a limit is exceeded.
+ */
+export function parseUrlEncoded(
+    body: string,
+    limits: AppExpressBodyLimits,
+): Record<string, string | string[]> {
+    const fields: Record<string, string | string[]> = Object.create(null);
+
+    let count = 0;
+    for (const [name, value] of new URLSearchParams(body)) {
+        checkField(++count, name, Buffer.byteLength(value), limits);
+        appendField(fields, name, value);
+    }
+
+    return fields;
+}
+
+/**
+ * Parse a `multipart/form-data` body.
+ *
+ * @param body - The raw body.
+ * @param contentType - The content type header, containing the boundary.
+ * @param limits - The limits for the number & the size of the fields and files.
+ * @returns The fields and the files.
+ * @throws {BodyError} If the boundary is missing, the body is malformed or a limit is exceeded.
+ */
+export function parseMultipart(
+    body: Buffer,
+    contentType: string,
+    limits: AppExpressBodyLimits,
+): MultipartBody {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundary) {
+        throw new BodyError(
+            'Missing boundary in the multipart/form-data content type.',
+        );
+    }
+
+    const delimiter = Buffer.from(`--${(boundary[1] ?? boundary[2])!.trim()}`);
+    const result: MultipartBody = { fields: Object.create(null), files: [] };
+
+    let fieldCount = 0;
+    let position = body.indexOf(delimiter);
+    if (position === -1) return result;
+
+    while (true) {
+        position += delimiter.length;
+
+        // the closing delimiter ends with `--`.
+        if (body.subarray(position, position + 2).toString() === '--') break;
+
+        const headersStart = body.indexOf('\r\n', position) + 2;
+        const headersEnd = body.indexOf('\r\n\r\n', headersStart);
+        const partEnd = body.indexOf(
+            Buffer.concat([Buffer.from('\r\n'), delimiter]),
+            headersEnd,
+        );
+
+        if (headersStart < 2 || headersEnd === -1 || partEnd === -1) {
+            throw new BodyError('Malformed multipart/form-data body.');
+        }
+
+        const headers = parseHeaders(
+            body.subarray(headersStart, headersEnd).toString('utf8'),
+        );
+        const content = body.subarray(headersEnd + 4, partEnd);
+        const disposition = parseParams(headers['content-disposition'] ?? '');
+
+        const name = disposition.name;
+        if (name !== undefined) {
+            const filename = disposition['filename*'] ?? disposition.filename;
+
+            if (filename !== undefined) {
+                if (result.files.length >= limits.files) {
+                    throw new BodyLimitError(
+                        `Too many files, the limit is ${limits.files}.`,
+                    );
+                }
+
+                if (content.length > limits.fileSize) {
+                    throw new BodyLimitError(
+                        `File '${filename}' exceeds the size limit of ${limits.fileSize} bytes.`,
+                    );
+                }
+
+                result.files.push({
+                    fieldName: name,
+                    filename,
+                    mimeType:
+                        headers['content-type'] ?? 'application/octet-stream',
+                    size: content.length,
+                    buffer: Buffer.from(content),
+                });
+            } else {
+                checkField(++fieldCount, name, content.length, limits);
+                appendField(result.fields, name, content.toString('utf8'));
+            }
+        }
+
+        position = partEnd + 2;
+    }
+
+    return result;
+}
+
+/**
+ * Check the limits for a field.
+ *
+ * @throws {BodyLimitError} If a limit is exceeded.
+ */
+function checkField(
+    count: number,
+    name: string,
+    size: number,
+    limits: AppExpressBodyLimits,
+): void {
+    if (count > limits.fields) {
+        throw new BodyLimitError(
+            `Too many fields, the limit is ${limits.fields}.`,
+        );
+    }
+
+    if (size > limits.fieldSize) {
+        throw new BodyLimitError(
+            `Field '${name}' exceeds the size limit of ${limits.fieldSize} bytes.`,
+        );
+    }
+}
+
+/**
+ * Add a field value, collecting the values of a repeated name into an array.\
+ * The fields have no prototype, so names like `constructor` or `__proto__` are kept as is.
+ */
+function appendField(
+    fields: Record<string, string | string[]>,
+    name: string,
+    value: string,
+): void {
+    const existing = Object.hasOwn(fields, name) ? fields[name] : undefined;
+
+    if (existing === undefined) fields[name] = value;
+    else if (Array.isArray(existing)) existing.push(value);
+    else fields[name] = [existing, value];
+}
+
+/**
+ * Parse the headers of a part into lowercase keys.
+ */
+function parseHeaders(raw: string): Record<string, string> {
+    const headers: Record<string, string> = {};
+
+    for (const line of raw.split('\r\n')) {
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        headers[key] = line.slice(separator + 1).trim();
+    }
+
+    return headers;
+}
+
+/**
+ * Parse the parameters of a header value like `form-data; name="file"; filename="a.txt"`.\
+ * An extended `filename*=UTF-8''...` value is decoded.
+ */
+function parseParams(value: string): Record<string, string> {
+    const params: Record<string, string> = {};
+    const param = /;\s*([\w*-]+)=("(?:[^"\\]|\\.)*"|[^;]*)/g;
+
+    for (const [, key, rawValue] of value.matchAll(param)) {
+        let paramValue = rawValue!.trim();
+
+        if (paramValue.startsWith('"')) {
+            paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+        } else if (key!.endsWith('*')) {
+            const encoded = /^[\w-]+'[\w-]*'(.*)$/.exec(paramValue);
+            if (encoded) {
+                try {
+                    paramValue = decodeURIComponent(encoded[1]!);
+                } catch {
+                    // keep the value as is.
+                }
+            }
+        }
+
+        params[key!.toLowerCase()] = paramValue;
+    }
+
+    return params;
+}
@@ -0,0 +1,76 @@
+/** Response compression for AppExpress */
+
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+const deflate = promisify(zlib.deflate);
+
+/**
+ * The highest levels used for large bodies, from the largest size down.\
+ * The slowest levels save little on large bodies for the time they take.
+ */
+const adaptiveLimits: {
+    size: number;
+    levels: Record<string, number>;
+}[] = [
+    { size: 1024 * 1024, levels: { br: 5, gzip: 6, deflate: 6 } },
+    { size: 64 * 1024, levels: { br: 9, gzip: 9, deflate: 9 } },
+];
+
+/**
+ * Compress a buffer with one of the built-in encodings, without blocking the event loop.
+ *
+ * @param encoding - One of `br`, `gzip` or `deflate`.
+ * @param buffer - The content to compress.
+ * @param level - The brotli quality, or the gzip & deflate level.
+ * @returns The compressed content.
+ */
+export function compress(
+    encoding: string,
+    buffer: Buffer,
+    level: number,
+): Promise<Buffer> {
+    switch (encoding) {
+        case 'br':
+            return brotliCompress(buffer, {
+                params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level },
+            });
+        case 'gzip':
+            return gzip(buffer, { level });
+        default:
+            return deflate(buffer, { level });
+    }
+}
+
+/**
+ * Lower the level of an encoding for a large body.
+ *
+ * @param encoding - One of `br`, `gzip` or `deflate`.
+ * @param level - The configured level of the encoding.
+ * @param size - The size of the body in bytes.
+ * @returns The configured level, or a lower one if the body is large.
+ */
+export function adaptiveLevel(
+    encoding: string,
+    level: number,
+    size: number,
+): number {
+    const limit = adaptiveLimits.find((limit) => size >= limit.size);
+    const maxLevel = limit?.levels[encoding];
+    return maxLevel === undefined ? level : Math.min(level, maxLevel);
+}
+
+/**
+ * Build the key of a compressed body, from the encoding & a hash of the uncompressed content.
+ *
+ * @param encoding - The encoding of the compressed body.
+ * @param buffer - The uncompressed content.
+ * @returns The key to cache the compressed body with.
+ */
+export function compressionKey(encoding: string, buffer: Buffer): string {
+    const hash = crypto.createHash('sha1').update(buffer).digest('base64');
+    return `${encoding}:${buffer.length}:${hash}`;
+}
@@ -0,0 +1,135 @@
+/** Cookie helpers for AppExpress */
+
+import crypto from 'crypto';
+import { decodeComponent } from './index.js';
+import type { AppExpressCookieOptions } from '../types/index.js';
+
+/**
+ * Parse a `cookie` header into its name & value pairs.\
+ * The first value of a repeated name is kept, the cookies have no prototype
+ * so names like `constructor` or `__proto__` are kept as is.
+ *
+ * @param header - The `cookie` header.
+ * @returns The decoded cookies.
+ */
+export function parseCookies(header: string = ''): Record<string, string> {
+    const cookies: Record<string, string> = Object.create(null);
+
+    for (const pair of header.split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator === -1) continue;
+
+        const name = pair.slice(0, separator).trim();
+        if (!name || Object.hasOwn(cookies, name)) continue;
+
+        let value = pair.slice(separator + 1).trim();
+        if (value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1);
+        }
+
+        cookies[name] = decodeComponent(value);
+    }
+
+    return cookies;
+}
+
+/**
+ * Build a `Set-Cookie` header value.
+ *
+ * @param name - The name of the cookie.
+ * @param value - The value of the cookie, it is URL-encoded.
+ * @param options - The attributes of the cookie.
+ * @returns The header value.
+ * @throws If the name, the domain or the path is invalid.
+ */
+export function serializeCookie(
+    name: string,
+    value: string,
+    options: AppExpressCookieOptions = {},
+): string {
+    if (!/^[!#$%&'*+\-.^_`|~\w]+$/.test(name)) {
+        throw new Error(`Invalid cookie name '${name}'.`);
+    }
+
+    // attributes can't be injected via the domain or the path.
+    for (const attribute of ['domain', 'path'] as const) {
+        if (/[;\r\n]/.test(options[attribute] ?? '')) {
+            throw new Error(
+                `Invalid cookie ${attribute} '${options[attribute]}'.`,
+            );
+        }
+    }
+
+    let cookie = `${name}=${encodeURIComponent(value)}`;
+
+    if (options.maxAge !== undefined) {
+        // `maxAge` is in milliseconds, like express.js.
+        cookie += `; Max-Age=${Math.floor(options.maxAge / 1000)}`;
+    }
+    if (options.expires) cookie += `; Expires=${options.expires.toUTCString()}`;
+    if (options.domain) cookie += `; Domain=${options.domain}`;
+    cookie += `; Path=${options.path ?? '/'}`;
+    if (options.httpOnly) cookie += '; HttpOnly';
+    if (options.secure) cookie += '; Secure';
+    if (options.partitioned) cookie += '; Partitioned';
+
+    if (options.sameSite) {
+        const sameSite =
+            options.sameSite === true ? 'strict' : options.sameSite;
+        cookie += `; SameSite=${sameSite.charAt(0).toUpperCase()}${sameSite.slice(1)}`;
+    }
+
+    return cookie;
+}
+
+/**
+ * Sign a value, the result is prefixed with `s:` to tell it apart from unsigned values.
+ *
+ * @param value - The value to sign.
+ * @param secret - The secret to sign with.
+ * @returns The signed value. Example : `s:value.signature`
+ */
+export function signCookie(value: string, secret: string): string {
+    return `s:${value}.${signature(value, secret)}`;
+}
+
+/**
+ * Verify a signed value against the secrets.
+ *
+ * @param value - The signed value.
+ * @param secrets - The secrets to verify with, the first one is the current one.
+ * @returns The original value or `false` if the signature does not match, `undefined` if the value is not signed.
+ */
+export function unsignCookie(
+    value: string,
+    secrets: string[],
+): string | false | undefined {
+    if (!value.startsWith('s:')) return undefined;
+
+    const separator = value.lastIndexOf('.');
+    if (separator === -1) return false;
+
+    const original = value.slice(2, separator);
+    const expected = Buffer.from(value.slice(separator + 1));
+
+    const valid = secrets.some((secret) => {
+        const actual = Buffer.from(signature(original, secret));
+        return (
+            actual.length === expected.length &&
+            crypto.timingSafeEqual(actual, expected)
+        );
+    });
+
+    return valid ? original : false;
+}
+
+/**
+ * Build the signature of a value.
+ */
+function signature(value: string, secret: string): string {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(value)
+        .digest('base64')
+        .replace(/=+$/, '');
+}
@@ -0,0 +1,152 @@
+/** ETags, conditional & range requests for AppExpress */
+
+import crypto from 'crypto';
+
+/**
+ * Generate an ETag from the contents of a response body.
+ *
+ * @param body - The uncompressed response body.
+ * @param weak - Whether to generate a weak ETag.
+ * @returns The quoted ETag. Example : `W/"1f-2jmj7l5rSw0yVb/vlWAYkK/YBwk"`
+ */
+export function generateETag(body: Buffer, weak: boolean): string {
+    const hash = crypto
+        .createHash('sha1')
+        .update(body)
+        .digest('base64')
+        .substring(0, 27);
+
+    const tag = `"${body.length.toString(16)}-${hash}"`;
+    return weak ? `W/${tag}` : tag;
+}
+
+/**
+ * Check whether the client's cached copy of a response is still fresh,
+ * based on the `if-none-match` & `if-modified-since` request headers.
+ *
+ * **Note**: `if-modified-since` is ignored if `if-none-match` is sent.
+ *
+ * @param requestHeaders - The headers of the request.
+ * @param responseHeaders - The headers of the prepared response.
+ * @returns true if the response can be answered with a `304 Not Modified`.
+ */
+export function isFresh(
+    requestHeaders: Record<string, string>,
+    responseHeaders: Record<string, string | number | boolean | string[]>,
+): boolean {
+    const noneMatch = requestHeaders['if-none-match'];
+    const modifiedSince = requestHeaders['if-modified-since'];
+    if (!noneMatch && !modifiedSince) return false;
+
+    // `no-cache` asks for an end-to-end reload.
+    const cacheControl = requestHeaders['cache-control'] ?? '';
+    if (/(?:^|,)\s*no-cache\s*(?:,|$)/i.test(cacheControl)) return false;
+
+    if (noneMatch) {
+        if (noneMatch.trim() === '*') return true;
+
+        const etag = headerValue(responseHeaders, 'etag');
+        if (!etag) return false;
+
+        // the weak comparison, `W/"a"` matches `"a"`.
+        return noneMatch
+            .split(',')
+            .some((tag) => opaqueTag(tag) === opaqueTag(etag));
+    }
+
+    const lastModified = Date.parse(
+        headerValue(responseHeaders, 'last-modified') ?? '',
+    );
+    const since = Date.parse(modifiedSince!);
+
+    return (
+        !Number.isNaN(lastModified) &&
+        !Number.isNaN(since) &&
+        lastModified <= since
+    );
+}
+
+/**
+ * Check whether a `range` request applies to the response, based on the `if-range` request header.\
+ * An ETag must match strongly, a date must match the `last-modified` header exactly.
+ *
+ * @param ifRange - The `if-range` header, `undefined` if not sent.
+ * @param responseHeaders - The headers of the prepared response.
+ * @returns true if the range can be served, false if the whole response must be sent.
+ */
+export function isRangeFresh(
+    ifRange: string | undefined,
+    responseHeaders: Record<string, string | number | boolean | string[]>,
+): boolean {
+    if (!ifRange) return true;
+
+    const value = ifRange.trim();
+    if (value.startsWith('"') || value.startsWith('W/')) {
+        const etag = headerValue(responseHeaders, 'etag');
+        return !!etag && !etag.startsWith('W/') && etag === value;
+    }
+
+    const lastModified = Date.parse(
+        headerValue(responseHeaders, 'last-modified') ?? '',
+    );
+    return !Number.isNaN(lastModified) && lastModified === Date.parse(value);
+}
+
+/**
+ * Parse a `range` header for a single range of bytes.
+ *
+ * **Note**: Multiple ranges are not supported & are ignored, like a malformed header.
+ *
+ * @param header - The `range` header. Example : `bytes=0-499`, `bytes=500-` or `bytes=-500`
+ * @param size - The size of the response body.
+ * @returns The inclusive range, `null` if it cannot be satisfied or `undefined` if the header is ignored.
+ */
+export function parseRange(
+    header: string,
+    size: number,
+): { start: number; end: number } | null | undefined {
+    const match = /^bytes=\s*(\d*)-(\d*)\s*$/i.exec(header.trim());
+    if (!match) return undefined;
+
+    const [, startValue, endValue] = match;
+    if (!startValue && !endValue) return undefined;
+
+    let start: number;
+    let end: number;
+
+    if (!startValue) {
+        // the last `n` bytes.
+        start = Math.max(size - Number(endValue), 0);
+        end = size - 1;
+        if (Number(endValue) === 0) return null;
+    } else {
+        start = Number(startValue);
+        end = endValue ? Math.min(Number(endValue), size - 1) : size - 1;
+        if (endValue && Number(endValue) < start) return undefined;
+    }
+
+    if (start >= size || end < start) return null;
+    return { start, end };
+}
+
+/**
+ * Get a response header value, the header names are case-insensitive.
+ *
+ * @param headers - The headers of the response.
+ * @param name - The lowercase name of the header.
+ * @returns The header value, if set.
+ */
+export function headerValue(
+    headers: Record<string, string | number | boolean | string[]>,
+    name: string,
+): string | undefined {
+    const key = Object.keys(headers).find((key) => key.toLowerCase() === name);
+    return key === undefined ? undefined : `${headers[key]}`;
+}
+
+/**
+ * Remove the weak indicator from an ETag.
+ */
+function opaqueTag(tag: string): string {
+    return tag.trim().replace(/^W\//, '');
+}
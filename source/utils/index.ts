@@ -1,6 +1,11 @@
 /** Utility functions for AppExpress */
 
-import type { AppExpressRequestMethods } from '../types/index.js';
+import RouteMatcher from './matcher.js';
+import type {
+    AppExpressRequestHandler,
+    AppExpressRequestMethods,
+    AppExpressRouteMatchers,
+} from '../types/index.js';
 
 /**
  * Creates and returns a new set of request method maps.
@@ -19,6 +24,61 @@ export function requestMethods(): AppExpressRequestMethods {
     };
 }
 
+/**
+ * Creates and returns a new set of route matchers.
+ *
+ * @returns A new instance of route matchers for each request method.
+ */
+export function routeMatchers(): AppExpressRouteMatchers {
+    return {
+        get: new RouteMatcher('GET'),
+        post: new RouteMatcher('POST'),
+        put: new RouteMatcher('PUT'),
+        patch: new RouteMatcher('PATCH'),
+        delete: new RouteMatcher('DELETE'),
+        options: new RouteMatcher('OPTIONS'),
+        all: new RouteMatcher('ALL'),
+    };
+}
+
+/**
+ * Validates the handlers provided for a route.
+ *
+ * @param path - The URL path of the route.
+ * @param handlers - The middlewares for the route, followed by the handler.
+ * @returns The handlers for the route.
+ * @throws If no handler is provided or if a handler is not a function.
+ */
+export function routeHandlers(
+    path: string,
+    handlers: AppExpressRequestHandler[],
+): AppExpressRequestHandler[] {
+    if (!handlers.length) {
+        throw new Error(`No handler provided for path '${path}'.`);
+    }
+
+    if (!handlers.every((handler) => typeof handler === 'function')) {
+        throw new Error(`Invalid handler provided for path '${path}'.`);
+    }
+
+    return handlers;
+}
+
+/**
+ * Builds a pattern that matches the paths under a mount path.
+ *
+ * @param mountPath - The mount path, may contain dynamic params. Example : `/users/:id`
+ * @returns The pattern to test request paths with, a match is the mount prefix of the path.
+ */
+export function mountPattern(mountPath: string): RegExp {
+    const regexPattern = mountPath
+        .replace(/\/+$/, '')
+        .replace(/:\w+(?:\((?:[^()\\]|\\.|\([^()]*\))+\))?\??/g, '[^/]+')
+        .replace(/\*\w*/g, '.*');
+
+    return new RegExp(`^${regexPattern}(?=/|$)`);
+}
+
 /**
  * Returns a function that checks if a given content type is compressible.
  *
@@ -39,3 +99,67 @@ export const isCompressible = (contentType: string): boolean => {
 
     return false;
 };
+
+/**
+ * Builds a `content-disposition` header value for an attachment.\
+ * Names with non-ASCII characters get an ASCII fallback & an encoded `filename*` parameter.
+ *
+ * @param filename - The name to save the file as, if any.
+ * @returns The header value. Example : `attachment; filename="report.pdf"`
+ */
+export function contentDisposition(filename?: string): string {
+    if (!filename) return 'attachment';
+
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '?');
+    let disposition = `attachment; filename="${fallback.replace(/["\\]/g, '\\$&')}"`;
+
+    if (fallback !== filename) {
+        const encoded = encodeURIComponent(filename).replace(
+            /['()*]/g,
+            (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+        );
+        disposition += `; filename*=UTF-8''${encoded}`;
+    }
+
+    return disposition;
+}
+
+/**
+ * Adds a header name to the `vary` header of a response, if not already present.
+ *
+ * @param headers - The headers of the response.
+ * @param name - The name of the request header the response varies on.
+ */
+export function appendVary(
+    headers: Record<string, string | number | boolean | string[]>,
+    name: string,
+): void {
+    const key =
+        Object.keys(headers).find((key) => key.toLowerCase() === 'vary') ??
+        'vary';
+
+    const names = `${headers[key] ?? ''}`
+        .split(',')
+        .map((value) => value.trim())
+        .filter((value) => value.length);
+
+    if (names.some((value) => value.toLowerCase() === name.toLowerCase())) {
+        return;
+    }
+
+    headers[key] = [...names, name].join(', ');
+}
+
+/**
+ * Decodes a URL-encoded value, like a route param or a cookie, keeping it as is if malformed.
+ *
+ * @param value - The encoded value.
+ * @returns The decoded value.
+ */
+export function decodeComponent(value: string): string {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
@@ -0,0 +1,80 @@
+/** A least recently used cache for AppExpress */
+
+/**
+ * Keeps the most recently used values within a total size, evicting the least recently used ones first.
+ */
+export default class LRUCache<K, V> {
+    readonly #entries: Map<K, { value: V; size: number }> = new Map();
+    readonly #maxSize: number;
+    readonly #sizeOf: (value: V) => number;
+    #size: number = 0;
+
+    /**
+     * Initializes a new instance of the `LRUCache` class.
+     *
+     * @param maxSize - The maximum total size of the values, `0` disables the cache.
+     * @param sizeOf - Measures a value, every value counts as `1` by default.
+     */
+    constructor(maxSize: number, sizeOf: (value: V) => number = () => 1) {
+        this.#maxSize = maxSize;
+        this.#sizeOf = sizeOf;
+    }
+
+    /**
+     * The total size of the cached values.
+     */
+    get size(): number {
+        return this.#size;
+    }
+
+    /**
+     * Get a value & mark it as the most recently used.
+     *
+     * @param key - The key of the value.
+     * @returns The value, if cached.
+     */
+    get(key: K): V | undefined {
+        const entry = this.#entries.get(key);
+        if (!entry) return undefined;
+
+        // a `Map` iterates in insertion order, the oldest first.
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Cache a value, set a changed value again to update its size.\
+     * A value larger than the cache itself is not cached.
+     *
+     * @param key - The key of the value.
+     * @param value - The value to cache.
+     */
+    set(key: K, value: V): void {
+        this.delete(key);
+
+        const size = this.#sizeOf(value);
+        if (size > this.#maxSize) return;
+
+        this.#entries.set(key, { value, size });
+        this.#size += size;
+
+        for (const [oldestKey] of this.#entries) {
+            if (this.#size <= this.#maxSize) break;
+            this.delete(oldestKey);
+        }
+    }
+
+    /**
+     * Remove a value.
+     *
+     * @param key - The key of the value.
+     */
+    delete(key: K): void {
+        const entry = this.#entries.get(key);
+        if (!entry) return;
+
+        this.#entries.delete(key);
+        this.#size -= entry.size;
+    }
+}
@@ -0,0 +1,382 @@
+/** Route matching for AppExpress */
+
+import { decodeComponent } from './index.js';
+
+/**
+ * A registered route along with the names of its dynamic params.
+ */
+interface Route<T> {
+    /** The path pattern as registered. Example : `/users/:id` */
+    pattern: string;
+    /** The param names in the order of their values, `null` for unnamed values */
+    keys: (string | null)[];
+    /** The value stored for the route */
+    value: T;
+}
+
+/**
+ * A node of the route tree, each level represents a path segment.
+ */
+interface RouteNode<T> {
+    /** Children for static segments, keyed by the segment */
+    statics: Map<string, RouteNode<T>>;
+    /** Children for segments mixing static text with params or wildcards, keyed by the segment */
+    patterns: Map<string, { regex: RegExp; node: RouteNode<T> }>;
+    /** Children for `:param` segments, the constrained ones first */
+    params: { constraint: string; regex?: RegExp; node: RouteNode<T> }[];
+    /** Child for an unnamed `*` segment of a pattern not separated by `/`, it spans exactly one segment */
+    segment?: RouteNode<T>;
+    /** Child for a `*` segment, it spans one or more segments */
+    wildcard?: RouteNode<T>;
+    /** The route ending at this node */
+    route?: Route<T>;
+}
+
+/**
+ * The result of a successful match.
+ */
+export interface RouteMatch<T> {
+    /** The path pattern of the matched route */
+    pattern: string;
+    /** The value stored for the route */
+    value: T;
+    /** The URL-decoded dynamic params extracted from the path */
+    params: Record<string, string>;
+}
+
+/**
+ * Matches a `:param` with an optional `(constraint)`, the constraint may have one level of nested groups.
+ */
+const paramToken = ':(\\w+)(?:\\(((?:[^()\\\\]|\\\\.|\\([^()]*\\))+)\\))?';
+
+/**
+ * Compiles route patterns into a tree once, so that requests are matched without building regular expressions.
+ *
+ * Segments are matched in a fixed order of precedence, regardless of the registration order:
+ * static segments first, then segments mixing text with params, then constrained `:params`,
+ * then other `:params` and lastly `*` wildcards.
+ *
+ * Supported segments:
+ * - `:id` - a dynamic param.
+ * - `:id?` - an optional param, the route also matches without the segment.
+ * - `:id(\\d+)` - a param constrained by a regular expression.
+ * - `*` or `*path` - a wildcard spanning one or more segments, captured into `path` if named.
+ *   A trailing one also matches the root, `/*` matches `/` with an empty `path`.
+ *   With another separator, like `.` for events, an unnamed `*` spans exactly one segment.
+ * - `:name.:ext`, `img-*` - params or wildcards mixed with text, matched within the segment.
+ *
+ * **Note**: A sole `*` pattern is kept as a fallback and is not part of the tree.
+ */
+export default class RouteMatcher<T> {
+    readonly #name: string;
+    readonly #separator: string;
+    readonly #root: RouteNode<T> = RouteMatcher.#node();
+    #warnings: string[] = [];
+    #fallback?: T;
+
+    /**
+     * Initializes a new instance of the `RouteMatcher` class.
+     *
+     * @param name - The name used in warnings, like the request method.
+     * @param separator - The character separating the segments, like `.` for event names.
+     */
+    constructor(name: string, separator: string = '/') {
+        this.#name = name;
+        this.#separator = separator;
+    }
+
+    /**
+     * The value registered for the sole `*` pattern.
+     *
+     * @returns The fallback value if registered.
+     */
+    get fallback(): T | undefined {
+        return this.#fallback;
+    }
+
+    /**
+     * Take the warnings collected while adding routes, clearing them.\
+     * The warnings are logged by the application once it has a context to log with.
+     *
+     * @returns The warnings since the last call.
+     */
+    takeWarnings(): string[] {
+        const warnings = this.#warnings;
+        this.#warnings = [];
+        return warnings;
+    }
+
+    /**
+     * Compile and add a route pattern.\
+     * If a route with the same shape exists, a warning is collected and the new one replaces it.
+     *
+     * @param pattern - The path pattern. Example : `/users/:id`
+     * @param value - The value to store for the route.
+     * @throws If a param constraint is not a valid regular expression.
+     */
+    add(pattern: string, value: T): void {
+        if (pattern === '*') {
+            this.#fallback = value;
+            return;
+        }
+
+        // an optional segment registers the route with & without it.
+        let variants: string[][] = [[]];
+        for (const segment of this.#segments(pattern)) {
+            if (new RegExp(`^${paramToken}\\?$`).test(segment)) {
+                const required = segment.slice(0, -1);
+                variants = variants.flatMap((variant) => [
+                    variant,
+                    [...variant, required],
+                ]);
+            } else {
+                variants.forEach((variant) => variant.push(segment));
+            }
+        }
+
+        for (const segments of variants) {
+            this.#insert(pattern, segments, value);
+        }
+    }
+
+    /**
+     * Find the route matching a request path.\
+     * The sole `*` fallback is not considered here.
+     *
+     * @param path - The request path. Example : `/users/a4d3b4a80`
+     * @returns The matched route and its params, if any.
+     */
+    find(path: string): RouteMatch<T> | undefined {
+        const values: string[] = [];
+        const route = this.#match(this.#root, this.#segments(path), 0, values);
+
+        if (!route) return undefined;
+
+        const params: Record<string, string> = {};
+        route.keys.forEach((key, index) => {
+            const value = values[index];
+            if (key && value !== undefined)
+                params[key] = decodeComponent(value);
+        });
+
+        return { pattern: route.pattern, value: route.value, params };
+    }
+
+    /**
+     * Add the nodes for the segments of a route.
+     *
+     * @param pattern - The path pattern as registered.
+     * @param segments - The segments of the pattern, without optional markers.
+     * @param value - The value to store for the route.
+     */
+    #insert(pattern: string, segments: string[], value: T): void {
+        let node = this.#root;
+        const keys: (string | null)[] = [];
+
+        for (const segment of segments) {
+            const param = new RegExp(`^${paramToken}$`).exec(segment);
+            const wildcard = /^\*(\w+)?$/.exec(segment);
+
+            if (wildcard && !wildcard[1] && this.#separator !== '/') {
+                // an id of an event, like `databases.*.collections`.
+                node = node.segment ??= RouteMatcher.#node();
+                keys.push(null);
+            } else if (wildcard) {
+                node = node.wildcard ??= RouteMatcher.#node();
+                keys.push(wildcard[1] ?? null);
+            } else if (param) {
+                const constraint = param[2] ?? '';
+                let child = node.params.find(
+                    (param) => param.constraint === constraint,
+                );
+
+                if (!child) {
+                    child = {
+                        constraint,
+                        regex: constraint
+                            ? new RegExp(`^(?:${constraint})$`)
+                            : undefined,
+                        node: RouteMatcher.#node(),
+                    };
+
+                    // constrained params are tried first.
+                    const unconstrained = node.params.findIndex(
+                        (param) => !param.regex,
+                    );
+                    if (child.regex && unconstrained !== -1) {
+                        node.params.splice(unconstrained, 0, child);
+                    } else {
+                        node.params.push(child);
+                    }
+                }
+
+                node = child.node;
+                keys.push(param[1]!);
+            } else if (/[:*]/.test(segment)) {
+                let child = node.patterns.get(segment);
+                if (!child) {
+                    child = {
+                        regex: RouteMatcher.#segmentRegex(segment),
+                        node: RouteMatcher.#node(),
+                    };
+                    node.patterns.set(segment, child);
+                }
+
+                node = child.node;
+                keys.push(...RouteMatcher.#segmentKeys(segment));
+            } else {
+                let child = node.statics.get(segment);
+                if (!child) {
+                    child = RouteMatcher.#node();
+                    node.statics.set(segment, child);
+                }
+                node = child;
+            }
+        }
+
+        if (node.route) {
+            const existing = node.route.pattern;
+            this.#warnings.push(
+                existing === pattern
+                    ? `Route '${this.#name} ${pattern}' is registered more than once, the last handler is used.`
+                    : `Route '${this.#name} ${pattern}' conflicts with '${existing}', the last registered one is used.`,
+            );
+        }
+
+        node.route = { pattern, keys, value };
+    }
+
+    /**
+     * Walk the tree depth-first, backtracking if a branch does not lead to a route.
+     *
+     * @param node - The current node.
+     * @param segments - The segments of the request path.
+     * @param index - The position of the segment to match.
+     * @param values - The collected param values.
+     * @returns The matched route, if any.
+     */
+    #match(
+        node: RouteNode<T>,
+        segments: string[],
+        index: number,
+        values: string[],
+    ): Route<T> | undefined {
+        if (index === segments.length) {
+            // a trailing `*` also matches the root, like `/*` for `/`.
+            if (node.route || index || !node.wildcard?.route) return node.route;
+
+            values.push('');
+            return node.wildcard.route;
+        }
+
+        const segment = segments[index]!;
+        const depth = values.length;
+
+        const staticNode = node.statics.get(segment);
+        if (staticNode) {
+            const route = this.#match(staticNode, segments, index + 1, values);
+            if (route) return route;
+        }
+
+        for (const { regex, node: patternNode } of node.patterns.values()) {
+            const match = regex.exec(segment);
+            if (!match) continue;
+
+            values.push(...Object.values(match.groups ?? {}));
+            const route = this.#match(patternNode, segments, index + 1, values);
+            if (route) return route;
+            values.length = depth;
+        }
+
+        for (const { regex, node: paramNode } of node.params) {
+            if (regex && !regex.test(segment)) continue;
+
+            values.push(segment);
+            const route = this.#match(paramNode, segments, index + 1, values);
+            if (route) return route;
+            values.length = depth;
+        }
+
+        if (node.segment) {
+            values.push(segment);
+            const route = this.#match(
+                node.segment,
+                segments,
+                index + 1,
+                values,
+            );
+            if (route) return route;
+            values.length = depth;
+        }
+
+        if (node.wildcard) {
+            // take as few segments as possible.
+            for (let end = index + 1; end <= segments.length; end++) {
+                values.push(segments.slice(index, end).join(this.#separator));
+                const route = this.#match(node.wildcard, segments, end, values);
+                if (route) return route;
+                values.length = depth;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Split a path or a pattern into its non-empty segments.
+     */
+    #segments(path: string): string[] {
+        return path.split(this.#separator).filter((segment) => segment.length);
+    }
+
+    /**
+     * Build the regular expression for a segment mixing static text with params or wildcards.\
+     * Params and named wildcards become named groups.
+     */
+    static #segmentRegex(segment: string): RegExp {
+        const token = new RegExp(`${paramToken}|\\*(\\w+)?`, 'g');
+
+        let regexPattern = '';
+        let lastIndex = 0;
+        for (const match of segment.matchAll(token)) {
+            regexPattern += escape(segment.slice(lastIndex, match.index));
+            lastIndex = match.index! + match[0].length;
+
+            const [, param, constraint, wildcard] = match;
+            if (param) {
+                regexPattern += `(?<${param}>${constraint ?? '[^/]+'})`;
+            } else if (wildcard) {
+                regexPattern += `(?<${wildcard}>[^/]*)`;
+            } else {
+                regexPattern += '[^/]*';
+            }
+        }
+
+        regexPattern += escape(segment.slice(lastIndex));
+        return new RegExp('^' + regexPattern + '$');
+    }
+
+    /**
+     * Collect the names of the params and named wildcards in a mixed segment, in order.
+     */
+    static #segmentKeys(segment: string): string[] {
+        const token = new RegExp(`${paramToken}|\\*(\\w+)?`, 'g');
+        return [...segment.matchAll(token)]
+            .map(([, param, , wildcard]) => param ?? wildcard)
+            .filter((key): key is string => !!key);
+    }
+
+    /**
+     * Create an empty node.
+     */
+    static #node<T>(): RouteNode<T> {
+        return { statics: new Map(), patterns: new Map(), params: [] };
+    }
+}
+
+/**
+ * Escape the special characters of a regular expression.
+ */
+function escape(text: string): string {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,223 @@
+/** Content negotiation for AppExpress */
+
+import mime from 'mime-types';
+
+/**
+ * The kinds of `accept*` headers.
+ */
+export type NegotiationKind = 'type' | 'language' | 'encoding';
+
+/**
+ * The ranges used if a header is not sent, a missing `accept-encoding` only allows the identity.
+ */
+const defaultRanges: Record<NegotiationKind, string> = {
+    type: '*/*',
+    language: '*',
+    encoding: 'identity',
+};
+
+/**
+ * A range of an `accept*` header.
+ */
+interface AcceptRange {
+    /** The lowercase value, without parameters. Example : `text/html` */
+    value: string;
+    /** The quality value, between `0` and `1` */
+    q: number;
+    /** The position in the header */
+    index: number;
+}
+
+/**
+ * Parse an `accept*` header into its ranges, in the order they were sent.
+ *
+ * @param header - The header value. Example : `text/html, application/json;q=0.9`
+ * @returns The ranges with valid quality values.
+ */
+export function parseAccept(header: string): AcceptRange[] {
+    const ranges: AcceptRange[] = [];
+
+    header.split(',').forEach((part, index) => {
+        const [value, ...params] = part.split(';').map((item) => item.trim());
+        if (!value) return;
+
+        let q = 1;
+        for (const param of params) {
+            const [key, paramValue] = param
+                .split('=')
+                .map((item) => item.trim());
+            if (key?.toLowerCase() === 'q') q = Number(paramValue);
+        }
+
+        if (Number.isNaN(q) || q < 0 || q > 1) return;
+        ranges.push({ value: value.toLowerCase(), q, index });
+    });
+
+    return ranges;
+}
+
+/**
+ * List the values accepted by the client, the most preferred first.
+ *
+ * @param header - The `accept*` header, `undefined` if not sent.
+ * @param kind - The kind of the header.
+ * @returns The accepted values, without the ones with a quality of `0`.
+ */
+export function accepted(
+    header: string | undefined,
+    kind: NegotiationKind,
+): string[] {
+    return rangesOf(header, kind)
+        .filter((range) => range.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map((range) => range.value);
+}
+
+/**
+ * Sort the offers by the preference of the client, leaving out the unacceptable ones.
+ *
+ * The offers are ordered by the quality of their most specific matching range,
+ * then by the specificity of the range, the position of the range & the order of the offers.
+ *
+ * @param header - The `accept*` header, `undefined` if not sent.
+ * @param offers - The values the server can provide.
+ * @param kind - The kind of the header.
+ * @param preferOffers - Whether to order offers of the same quality as given, instead of as the client sent them.
+ * @returns The acceptable offers, the most preferred first.
+ */
+export function negotiate(
+    header: string | undefined,
+    offers: string[],
+    kind: NegotiationKind,
+    preferOffers: boolean = false,
+): string[] {
+    const ranges = rangesOf(header, kind);
+    const matches: {
+        offer: string;
+        order: number;
+        q: number;
+        specificity: number;
+        index: number;
+    }[] = [];
+
+    offers.forEach((offer, order) => {
+        let best: AcceptRange | undefined;
+        let bestSpecificity = -1;
+
+        for (const range of ranges) {
+            const specificity = matchSpecificity(
+                range.value,
+                offer.toLowerCase(),
+                kind,
+            );
+
+            if (specificity > bestSpecificity) {
+                best = range;
+                bestSpecificity = specificity;
+            }
+        }
+
+        if (best && best.q > 0) {
+            matches.push({
+                offer,
+                order,
+                q: best.q,
+                specificity: bestSpecificity,
+                index: best.index,
+            });
+        }
+    });
+
+    return matches
+        .sort(
+            (a, b) =>
+                b.q - a.q ||
+                (preferOffers
+                    ? a.order - b.order
+                    : b.specificity - a.specificity ||
+                      a.index - b.index ||
+                      a.order - b.order),
+        )
+        .map(({ offer }) => offer);
+}
+
+/**
+ * Get the media type of a `content-type` header, without its parameters.
+ *
+ * @param contentType - The header value. Example : `Application/JSON; charset=utf-8`
+ * @returns The lowercase media type. Example : `application/json`
+ */
+export function mediaType(contentType: string): string {
+    return contentType.split(';')[0]!.trim().toLowerCase();
+}
+
+/**
+ * Resolve a file extension like `json` to its mime type, full types are kept as is.
+ *
+ * @param type - The extension or the mime type.
+ * @returns The mime type, or the given value if unknown.
+ */
+export function resolveType(type: string): string {
+    return type.includes('/') ? type : mime.lookup(type) || type;
+}
+
+/**
+ * Parse the ranges of a header, falling back to the default ranges of its kind.
+ */
+function rangesOf(
+    header: string | undefined,
+    kind: NegotiationKind,
+): AcceptRange[] {
+    const ranges = parseAccept(header ?? defaultRanges[kind]);
+
+    // the identity is acceptable unless excluded, as the least preferred.
+    if (
+        kind === 'encoding' &&
+        !ranges.some((range) => range.value === 'identity')
+    ) {
+        const minQuality = Math.min(
+            1,
+            ...ranges.filter((range) => range.q > 0).map((range) => range.q),
+        );
+        ranges.push({ value: 'identity', q: minQuality, index: ranges.length });
+    }
+
+    return ranges;
+}
+
+/**
+ * Check how specifically a range matches an offer.
+ *
+ * @returns The specificity, higher is more specific, `-1` if the range does not match.
+ */
+function matchSpecificity(
+    range: string,
+    offer: string,
+    kind: NegotiationKind,
+): number {
+    if (range === offer) return 3;
+
+    switch (kind) {
+        case 'type': {
+            const [rangeType, rangeSubtype] = range.split('/');
+            const [offerType] = offer.split(';')[0]!.trim().split('/');
+
+            if (range === '*/*' || range === '*') return 0;
+            if (rangeSubtype === '*' && rangeType === offerType) return 1;
+            if (range === offer.split(';')[0]!.trim()) return 2;
+            return -1;
+        }
+
+        case 'language': {
+            if (range === '*') return 0;
+
+            // `en` matches `en-US` & the other way around.
+            const isPrefix =
+                offer.startsWith(`${range}-`) || range.startsWith(`${offer}-`);
+            return isPrefix ? 1 : -1;
+        }
+
+        case 'encoding':
+            return range === '*' ? 0 : -1;
+    }
+}
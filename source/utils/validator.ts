@@ -0,0 +1,269 @@
+/** Schema validation for AppExpress */
+
+import type {
+    AppExpressRequest,
+    AppExpressSchema,
+    AppExpressValidationError,
+    AppExpressValidationSchemas,
+} from '../types/index.js';
+import { mediaType } from './negotiation.js';
+
+/**
+ * The parsed values of the validated requests.
+ */
+export const validatedValues = new WeakMap<
+    AppExpressRequest,
+    Record<string, unknown>
+>();
+
+/**
+ * The patterns for the supported string formats.
+ */
+const formats: Record<string, RegExp> = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    'date-time':
+        /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+    uri: /^[a-z][a-z\d+.-]*:\/\/\S+$/i,
+};
+
+/**
+ * Validate the body, query & params of a request.\
+ * Values of the query, the params & form bodies are strings and are coerced to the schema types.
+ *
+ * @param schemas - The schemas for the parts of the request.
+ * @param request - The request to validate.
+ * @returns The parsed values and the errors, if any.
+ */
+export function validateRequest(
+    schemas: AppExpressValidationSchemas,
+    request: AppExpressRequest,
+): { values: Record<string, unknown>; errors: AppExpressValidationError[] } {
+    const values: Record<string, unknown> = {};
+    const errors: AppExpressValidationError[] = [];
+
+    for (const location of ['params', 'query', 'body'] as const) {
+        const schema = schemas[location];
+        if (!schema) continue;
+
+        let input: unknown;
+        let coerce = true;
+
+        if (location === 'body') {
+            const contentType = mediaType(
+                request.headers['content-type'] ?? '',
+            );
+            if (contentType === 'application/x-www-form-urlencoded') {
+                input = request.form;
+            } else if (contentType === 'multipart/form-data') {
+                input = request.fields;
+            } else {
+                input = request.bodyJson;
+                coerce = false;
+            }
+        } else {
+            input = request[location];
+        }
+
+        values[location] = validateSchema(
+            schema,
+            input,
+            '',
+            coerce,
+            (field, message) => errors.push({ location, field, message }),
+        );
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param schema - The schema of the value.
+ * @param value - The value to validate.
+ * @param field - The path of the value, dot separated.
+ * @param coerce - Whether to convert strings to the schema type.
+ * @param report - Reports an error for a field.
+ * @returns The parsed value.
+ */
+function validateSchema(
+    schema: AppExpressSchema,
+    value: unknown,
+    field: string,
+    coerce: boolean,
+    report: (field: string, message: string) => void,
+): unknown {
+    switch (schema.type) {
+        case 'string': {
+            if (typeof value !== 'string') {
+                return report(field, 'must be a string');
+            }
+
+            if (
+                schema.minLength !== undefined &&
+                value.length < schema.minLength
+            ) {
+                report(
+                    field,
+                    `must be at least ${schema.minLength} characters`,
+                );
+            }
+            if (
+                schema.maxLength !== undefined &&
+                value.length > schema.maxLength
+            ) {
+                report(field, `must be at most ${schema.maxLength} characters`);
+            }
+            if (
+                schema.pattern !== undefined &&
+                !new RegExp(schema.pattern).test(value)
+            ) {
+                report(field, `must match the pattern ${schema.pattern}`);
+            }
+            if (
+                schema.format !== undefined &&
+                !formats[schema.format]!.test(value)
+            ) {
+                report(field, `must be a valid ${schema.format}`);
+            }
+            if (schema.enum !== undefined && !schema.enum.includes(value)) {
+                report(field, `must be one of: ${schema.enum.join(', ')}`);
+            }
+
+            return value;
+        }
+
+        case 'number':
+        case 'integer': {
+            if (coerce && typeof value === 'string' && value.trim() !== '') {
+                value = Number(value);
+            }
+
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                return report(
+                    field,
+                    `must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`,
+                );
+            }
+            if (schema.type === 'integer' && !Number.isInteger(value)) {
+                return report(field, 'must be an integer');
+            }
+
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                report(
+                    field,
+                    `must be greater than or equal to ${schema.minimum}`,
+                );
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                report(
+                    field,
+                    `must be less than or equal to ${schema.maximum}`,
+                );
+            }
+
+            return value;
+        }
+
+        case 'boolean': {
+            if (coerce && typeof value === 'string') {
+                if (value === 'true' || value === '1') value = true;
+                else if (value === 'false' || value === '0') value = false;
+            }
+
+            if (typeof value !== 'boolean') {
+                return report(field, 'must be a boolean');
+            }
+
+            return value;
+        }
+
+        case 'array': {
+            // `a,b` or a single value in the query.
+            if (coerce && typeof value === 'string') value = value.split(',');
+
+            if (!Array.isArray(value)) {
+                return report(field, 'must be an array');
+            }
+
+            if (
+                schema.minItems !== undefined &&
+                value.length < schema.minItems
+            ) {
+                report(field, `must have at least ${schema.minItems} items`);
+            }
+            if (
+                schema.maxItems !== undefined &&
+                value.length > schema.maxItems
+            ) {
+                report(field, `must have at most ${schema.maxItems} items`);
+            }
+
+            return value.map((item, index) =>
+                validateSchema(
+                    schema.items,
+                    item,
+                    join(field, `${index}`),
+                    coerce,
+                    report,
+                ),
+            );
+        }
+
+        case 'object': {
+            if (
+                typeof value !== 'object' ||
+                value === null ||
+                Array.isArray(value)
+            ) {
+                return report(field, 'must be an object');
+            }
+
+            const input = value as Record<string, unknown>;
+            const parsed: Record<string, unknown> = {};
+            const properties = schema.properties ?? {};
+
+            for (const [key, property] of Object.entries(properties)) {
+                const propertyField = join(field, key);
+                const propertyValue =
+                    (Object.hasOwn(input, key) ? input[key] : undefined) ??
+                    property.default;
+
+                if (propertyValue === undefined) {
+                    if (schema.required?.includes(key)) {
+                        report(propertyField, 'is required');
+                    }
+                    continue;
+                }
+
+                parsed[key] = validateSchema(
+                    property,
+                    propertyValue,
+                    propertyField,
+                    coerce,
+                    report,
+                );
+            }
+
+            for (const key of Object.keys(input)) {
+                if (Object.hasOwn(properties, key)) continue;
+
+                if (schema.additionalProperties === false) {
+                    report(join(field, key), 'is not allowed');
+                } else {
+                    parsed[key] = input[key];
+                }
+            }
+
+            return parsed;
+        }
+    }
+}
+
+/**
+ * Join the path of a field with a key.
+ */
+function join(field: string, key: string): string {
+    return field ? `${field}.${key}` : key;
+}